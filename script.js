@@ -4,11 +4,17 @@ class TreeModel {
     constructor() {
         this.nodes = [];
         this.edges = [];
+        // Non-tree relations: movement arrows from a trace (fromId) to its landing site (toId)
+        this.movements = [];
         this.nextNodeId = 1;
         this.nextEdgeId = 1;
+        this.nextMovementId = 1;
+        // 'dependency' trees link words directly, head to dependent, with arcs above them
+        this.mode = 'constituency';
     }
 
-    createNode(label, x, y, type = 'CAT') {
+    // props holds optional details: family, subscript, features, notes, roof, collapsed
+    createNode(label, x, y, type = 'CAT', props = {}) {
         const node = {
             id: `node-${this.nextNodeId++}`,
             label: label || 'Label',
@@ -16,31 +22,105 @@ class TreeModel {
             y: y,
             width: 100,
             height: 40,
-            type
+            type,
+            ...props
         };
         this.nodes.push(node);
         return node;
     }
 
     deleteNode(nodeId) {
+        const parent = this.getParentOf(nodeId);
         // Remove the node
         this.nodes = this.nodes.filter(n => n.id !== nodeId);
-        // Remove all incident edges
+        // Remove all incident edges and movement arrows
         this.edges = this.edges.filter(e => e.parentId !== nodeId && e.childId !== nodeId);
+        this.movements = this.movements.filter(m => m.fromId !== nodeId && m.toId !== nodeId);
+        if (parent) this.reindexChildren(parent.id);
     }
 
-    createEdge(parentId, childId) {
+    // Edges carry the child's position among its siblings; by default a new child goes last.
+    // props may hold a relation label (nsubj, obj)
+    createEdge(parentId, childId, index = this.getChildEdges(parentId).length, props = {}) {
+        this.getChildEdges(parentId)
+            .filter(e => e.index >= index)
+            .forEach(e => e.index++);
+
         const edge = {
             id: `edge-${this.nextEdgeId++}`,
             parentId: parentId,
-            childId: childId
+            childId: childId,
+            index,
+            ...props
         };
         this.edges.push(edge);
+        this.reindexChildren(parentId);
         return edge;
     }
 
     deleteEdge(edgeId) {
+        const edge = this.edges.find(e => e.id === edgeId);
         this.edges = this.edges.filter(e => e.id !== edgeId);
+        if (edge) this.reindexChildren(edge.parentId);
+    }
+
+    createMovement(fromId, toId) {
+        if (fromId === toId) throw new Error('A movement arrow needs two different nodes.');
+        if (this.movements.some(m => m.fromId === fromId && m.toId === toId)) {
+            throw new Error('These nodes are already linked by a movement arrow.');
+        }
+
+        const movement = {
+            id: `move-${this.nextMovementId++}`,
+            fromId,
+            toId
+        };
+        this.movements.push(movement);
+        return movement;
+    }
+
+    deleteMovement(movementId) {
+        this.movements = this.movements.filter(m => m.id !== movementId);
+    }
+
+    getChildEdges(nodeId) {
+        return this.edges
+            .filter(e => e.parentId === nodeId)
+            .sort((a, b) => a.index - b.index);
+    }
+
+    // Renumber a parent's child edges 0..n-1, keeping their order
+    reindexChildren(parentId) {
+        this.getChildEdges(parentId).forEach((e, i) => {
+            e.index = i;
+        });
+    }
+
+    moveChild(childId, newIndex) {
+        const edge = this.edges.find(e => e.childId === childId);
+        if (!edge) return false;
+
+        const siblings = this.getChildEdges(edge.parentId).filter(e => e !== edge);
+        const index = Math.max(0, Math.min(newIndex, siblings.length));
+        siblings.splice(index, 0, edge);
+        siblings.forEach((e, i) => {
+            e.index = i;
+        });
+        return true;
+    }
+
+    moveChildBefore(childId, siblingId) {
+        const sibling = this.edges.find(e => e.childId === siblingId);
+        const edge = this.edges.find(e => e.childId === childId);
+        if (!sibling || !edge || sibling.parentId !== edge.parentId) return false;
+        return this.moveChild(childId, sibling.index - (edge.index < sibling.index ? 1 : 0));
+    }
+
+    moveChildAfter(childId, siblingId) {
+        const sibling = this.edges.find(e => e.childId === siblingId);
+        const edge = this.edges.find(e => e.childId === childId);
+        if (!sibling || !edge || sibling.parentId !== edge.parentId) return false;
+        return this.moveChild(childId, sibling.index + (edge.index < sibling.index ? 0 : 1));
     }
 
     findEdgeByNodeIds(parentId, childId) {
@@ -48,8 +128,7 @@ class TreeModel {
     }
 
     getChildrenOf(nodeId) {
-        return this.edges
-            .filter(e => e.parentId === nodeId)
+        return this.getChildEdges(nodeId)
             .map(e => this.nodes.find(n => n.id === e.childId))
             .filter(n => n);
     }
@@ -76,32 +155,488 @@ class TreeModel {
     clear() {
         this.nodes = [];
         this.edges = [];
+        this.movements = [];
+        this.mode = 'constituency';
+    }
+
+    // Copy a set of nodes and the edges between them
+    extractFragment(nodeIds) {
+        const ids = new Set(nodeIds);
+        return {
+            nodes: this.nodes.filter(n => ids.has(n.id)).map(n => ({ ...n })),
+            edges: this.edges.filter(e => ids.has(e.parentId) && ids.has(e.childId)).map(e => ({ ...e })),
+            movements: this.movements.filter(m => ids.has(m.fromId) && ids.has(m.toId)).map(m => ({ ...m }))
+        };
+    }
+
+    // Add a copied fragment under fresh ids, shifted by (dx, dy); returns the new nodes.
+    // Copies are never given in a task, so they don't keep a locked flag
+    insertFragment(fragment, dx = 0, dy = 0) {
+        const idMap = {};
+        const created = fragment.nodes.map(({ locked, ...source }) => {
+            const node = {
+                ...source,
+                id: `node-${this.nextNodeId++}`,
+                x: Math.max(0, source.x + dx),
+                y: Math.max(0, source.y + dy)
+            };
+            idMap[source.id] = node.id;
+            this.nodes.push(node);
+            return node;
+        });
+
+        fragment.edges.slice().sort((a, b) => a.index - b.index).forEach(edge => {
+            if (idMap[edge.parentId] && idMap[edge.childId]) {
+                this.createEdge(idMap[edge.parentId], idMap[edge.childId], undefined, edge.relation ? { relation: edge.relation } : {});
+            }
+        });
+
+        (fragment.movements || []).forEach(movement => {
+            if (idMap[movement.fromId] && idMap[movement.toId]) {
+                this.createMovement(idMap[movement.fromId], idMap[movement.toId]);
+            }
+        });
+
+        return created;
+    }
+
+    snapshot() {
+        return {
+            nodes: this.nodes.map(n => ({ ...n })),
+            edges: this.edges.map(e => ({ ...e })),
+            movements: this.movements.map(m => ({ ...m })),
+            nextNodeId: this.nextNodeId,
+            nextEdgeId: this.nextEdgeId,
+            nextMovementId: this.nextMovementId,
+            mode: this.mode
+        };
+    }
+
+    restore(snapshot) {
+        this.nodes = snapshot.nodes.map(n => ({ ...n }));
+        this.edges = snapshot.edges.map(e => ({ ...e }));
+        this.movements = (snapshot.movements || []).map(m => ({ ...m }));
+        this.nextNodeId = snapshot.nextNodeId;
+        this.nextEdgeId = snapshot.nextEdgeId;
+        this.nextMovementId = snapshot.nextMovementId || 1;
+        this.mode = snapshot.mode || 'constituency';
+    }
+}
+
+// HISTORY MANAGER
+
+class HistoryManager {
+    constructor(limit = 100) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = limit;
+    }
+
+    // Store the model state as it was before a mutation
+    record(snapshot) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    undo(currentSnapshot) {
+        if (!this.canUndo()) return null;
+        this.redoStack.push(currentSnapshot);
+        return this.undoStack.pop();
+    }
+
+    redo(currentSnapshot) {
+        if (!this.canRedo()) return null;
+        this.undoStack.push(currentSnapshot);
+        return this.redoStack.pop();
+    }
+
+    // Take back the last recorded state, for edits that were abandoned; returns it so the caller can restore it
+    discardLast() {
+        return this.undoStack.pop() || null;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// PERSISTENCE
+
+class StorageManager {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.workspaceKey = 'treegen.workspace';
+        this.savedTreesKey = 'treegen.savedTrees';
+        this.clipboardKey = 'treegen.clipboard';
+        this.validationKey = 'treegen.validation';
+        this.palettesKey = 'treegen.palettes';
+        this.grammarKey = 'treegen.grammar';
+    }
+
+    read(key, fallback) {
+        try {
+            const raw = this.storage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    write(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            // Callers tell the user when a save they asked for fails
+            return false;
+        }
+    }
+
+    loadWorkspace() {
+        return this.read(this.workspaceKey, null);
+    }
+
+    saveWorkspace(workspace) {
+        return this.write(this.workspaceKey, workspace);
+    }
+
+    // Shared by every tab on this origin, so subtrees can be pasted between tabs
+    readClipboard() {
+        return this.read(this.clipboardKey, null);
+    }
+
+    writeClipboard(fragment) {
+        return this.write(this.clipboardKey, fragment);
+    }
+
+    loadValidationSettings() {
+        return this.read(this.validationKey, {});
+    }
+
+    saveValidationSettings(settings) {
+        return this.write(this.validationKey, settings);
+    }
+
+    loadPalettes() {
+        return this.read(this.palettesKey, null);
+    }
+
+    savePalettes(palettes) {
+        return this.write(this.palettesKey, palettes);
+    }
+
+    loadGrammar() {
+        return this.read(this.grammarKey, DEFAULT_GRAMMAR);
+    }
+
+    saveGrammar(grammar) {
+        return this.write(this.grammarKey, grammar);
+    }
+
+    getSavedTrees() {
+        return this.read(this.savedTreesKey, []);
+    }
+
+    setSavedTrees(trees) {
+        return this.write(this.savedTreesKey, trees);
+    }
+
+    saveTree(name, tree) {
+        const trees = this.getSavedTrees();
+        const entry = {
+            id: `tree-${Date.now()}`,
+            name,
+            savedAt: new Date().toISOString(),
+            tree
+        };
+        trees.push(entry);
+        return this.setSavedTrees(trees) ? entry : null;
+    }
+
+    renameTree(id, name) {
+        const trees = this.getSavedTrees();
+        const entry = trees.find(t => t.id === id);
+        if (!entry) return false;
+        entry.name = name;
+        return this.setSavedTrees(trees);
+    }
+
+    deleteTree(id) {
+        return this.setSavedTrees(this.getSavedTrees().filter(t => t.id !== id));
+    }
+}
+
+// BLOCK PALETTES
+
+const DEFAULT_MORPHOLOGY_BLOCKS = ['Noun', 'Verb', 'Adj', 'Adv', 'Root', 'Prefix', 'Suffix', 'Infix'];
+
+function paletteBlocks(syntax, morphology) {
+    return [
+        ...syntax.map(label => ({ label, family: 'syntax' })),
+        ...morphology.map(label => ({ label, family: 'morphology' }))
+    ];
+}
+
+// Built-in palettes; "Reset" restores these
+const DEFAULT_PALETTES = [
+    {
+        name: 'Default',
+        blocks: paletteBlocks(
+            ['S', 'NP', 'VP', 'PP', 'AP', 'CP', 'TP', 'Det', 'N', 'V', 'Adj', 'C', 'T'],
+            DEFAULT_MORPHOLOGY_BLOCKS
+        )
+    },
+    {
+        name: 'X-bar',
+        blocks: paletteBlocks(
+            ['CP', "C'", 'C', 'TP', "T'", 'T', 'NP', "N'", 'N', 'VP', "V'", 'V', 'AP', "A'", 'A', 'PP', "P'", 'P', 'AdvP', 'Adv'],
+            DEFAULT_MORPHOLOGY_BLOCKS
+        )
+    },
+    {
+        name: 'DP hypothesis',
+        blocks: paletteBlocks(
+            ['CP', "C'", 'C', 'TP', "T'", 'T', 'DP', "D'", 'D', 'NP', "N'", 'N', 'vP', "v'", 'v', 'VP', "V'", 'V', 'PP', "P'", 'P', 'AP', 'A'],
+            DEFAULT_MORPHOLOGY_BLOCKS
+        )
+    },
+    {
+        name: 'Distributed Morphology',
+        blocks: paletteBlocks(
+            ['DP', 'D', 'nP', 'vP', 'aP', 'TP', 'T', 'CP', 'C'],
+            ['√ROOT', 'n', 'v', 'a', 'Num', 'Gen', 'T', 'Asp', 'Voice', 'Agr']
+        )
+    }
+];
+
+function clonePalette(palette) {
+    return { name: palette.name, blocks: palette.blocks.map(b => ({ ...b })) };
+}
+
+class PaletteManager {
+    constructor(storage) {
+        this.storage = storage;
+        const saved = storage.loadPalettes();
+        this.palettes = saved && Array.isArray(saved.palettes) && saved.palettes.length > 0
+            ? saved.palettes
+            : DEFAULT_PALETTES.map(clonePalette);
+        this.activeName = saved && this.find(saved.active) ? saved.active : this.palettes[0].name;
+    }
+
+    save() {
+        return this.storage.savePalettes({ active: this.activeName, palettes: this.palettes });
+    }
+
+    find(name) {
+        return this.palettes.find(p => p.name === name) || null;
+    }
+
+    getActive() {
+        return this.find(this.activeName);
+    }
+
+    setActive(name) {
+        if (!this.find(name)) return;
+        this.activeName = name;
+        this.save();
+    }
+
+    isBuiltIn(name) {
+        return DEFAULT_PALETTES.some(p => p.name === name);
+    }
+
+    createPalette(name, blocks = []) {
+        if (!name) throw new Error('Palette name cannot be empty.');
+        if (this.find(name)) throw new Error(`A palette named "${name}" already exists.`);
+
+        const palette = clonePalette({ name, blocks });
+        this.palettes.push(palette);
+        this.activeName = name;
+        this.save();
+        return palette;
+    }
+
+    deletePalette(name) {
+        if (this.palettes.length <= 1) throw new Error('At least one palette must remain.');
+
+        this.palettes = this.palettes.filter(p => p.name !== name);
+        if (this.activeName === name) this.activeName = this.palettes[0].name;
+        this.save();
+    }
+
+    // Replaces an existing palette of the same name, or adds it
+    importPalette(palette) {
+        const copy = clonePalette(palette);
+        const index = this.palettes.findIndex(p => p.name === copy.name);
+        if (index === -1) {
+            this.palettes.push(copy);
+        } else {
+            this.palettes[index] = copy;
+        }
+        this.activeName = copy.name;
+        this.save();
+    }
+
+    resetActive() {
+        const builtIn = DEFAULT_PALETTES.find(p => p.name === this.activeName);
+        if (!builtIn) return;
+        this.getActive().blocks = clonePalette(builtIn).blocks;
+        this.save();
+    }
+
+    // The name itself if it is free, otherwise the first free "name (2)", "name (3)"...
+    uniqueName(name) {
+        let candidate = name;
+        for (let n = 2; this.find(candidate); n++) candidate = `${name} (${n})`;
+        return candidate;
+    }
+
+    // Blocks a palette lacks, matched by label and family
+    missingBlocks(name, blocks) {
+        const palette = this.find(name);
+        return blocks.filter(block => !palette || !palette.blocks.some(b => b.label === block.label && b.family === block.family));
+    }
+
+    addBlock(block) {
+        this.getActive().blocks.push({ ...block });
+        this.save();
+    }
+
+    updateBlock(index, changes) {
+        const block = this.getActive().blocks[index];
+        if (!block) return;
+        Object.assign(block, changes);
+        Object.keys(changes).forEach(key => {
+            if (changes[key] === undefined) delete block[key];
+        });
+        this.save();
+    }
+
+    removeBlock(index) {
+        this.getActive().blocks.splice(index, 1);
+        this.save();
+    }
+
+    // Swap with the nearest block of the same family; direction is -1 or 1
+    moveBlock(index, direction) {
+        const blocks = this.getActive().blocks;
+        const block = blocks[index];
+        if (!block) return;
+
+        let target = index + direction;
+        while (target >= 0 && target < blocks.length && blocks[target].family !== block.family) {
+            target += direction;
+        }
+        if (target < 0 || target >= blocks.length) return;
+
+        [blocks[index], blocks[target]] = [blocks[target], block];
+        this.save();
     }
 }
 
 // UI STATE MANAGER
 
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 1.2;
+
 class UIState {
     constructor() {
+        // selectedNode is the focused node; selectedNodes holds the whole selection
         this.selectedNode = null;
+        this.selectedNodes = new Set();
         this.selectedEdge = null;
+        this.selectedMovement = null;
         this.addDescendentMode = false;
         this.addDescendentParentId = null;
+        this.movementMode = false;
+        this.movementSourceId = null;
+
+        // Viewport: workspace point p appears at p * zoom + pan
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+        return this.zoom;
+    }
+
+    resetView() {
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
     }
 
     selectNode(nodeId) {
         this.selectedNode = nodeId;
+        this.selectedNodes = new Set([nodeId]);
+        this.selectedEdge = null;
+        this.selectedMovement = null;
+    }
+
+    selectNodes(nodeIds) {
+        this.selectedNodes = new Set(nodeIds);
+        this.selectedNode = nodeIds.length > 0 ? nodeIds[nodeIds.length - 1] : null;
+        this.selectedEdge = null;
+        this.selectedMovement = null;
+    }
+
+    toggleNodeSelection(nodeId) {
+        if (this.selectedNodes.has(nodeId)) {
+            this.selectedNodes.delete(nodeId);
+            if (this.selectedNode === nodeId) {
+                const remaining = Array.from(this.selectedNodes);
+                this.selectedNode = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+            }
+        } else {
+            this.selectedNodes.add(nodeId);
+            this.selectedNode = nodeId;
+        }
         this.selectedEdge = null;
+        this.selectedMovement = null;
+    }
+
+    isNodeSelected(nodeId) {
+        return this.selectedNodes.has(nodeId);
+    }
+
+    getSelectedNodeIds() {
+        return Array.from(this.selectedNodes);
     }
 
     selectEdge(edgeId) {
         this.selectedEdge = edgeId;
+        this.selectedMovement = null;
+        this.selectedNode = null;
+        this.selectedNodes = new Set();
+    }
+
+    selectMovement(movementId) {
+        this.selectedMovement = movementId;
+        this.selectedEdge = null;
         this.selectedNode = null;
+        this.selectedNodes = new Set();
     }
 
     clearSelection() {
         this.selectedNode = null;
+        this.selectedNodes = new Set();
         this.selectedEdge = null;
+        this.selectedMovement = null;
     }
 
     enterAddDescendentMode(parentId) {
@@ -113,6 +648,16 @@ class UIState {
         this.addDescendentMode = false;
         this.addDescendentParentId = null;
     }
+
+    enterMovementMode(sourceId) {
+        this.movementMode = true;
+        this.movementSourceId = sourceId;
+    }
+
+    exitMovementMode() {
+        this.movementMode = false;
+        this.movementSourceId = null;
+    }
 }
 
 // TREE APP MANAGER
@@ -121,28 +666,217 @@ class TreeApp {
     constructor() {
         this.model = new TreeModel();
         this.ui = new UIState();
+        this.history = new HistoryManager();
+        this.storage = new StorageManager();
+        this.autosaveTimer = null;
 
         // DOM elements
         this.workspace = document.getElementById('workspace');
+        this.workspaceWrapper = document.getElementById('workspace-wrapper');
+        this.workspaceStage = document.getElementById('workspace-stage');
         this.svg = document.getElementById('edges-svg');
+        this.treeModeSelect = document.getElementById('tree-mode');
+
+        // Zoom controls
+        this.zoomInBtn = document.getElementById('zoom-in-btn');
+        this.zoomOutBtn = document.getElementById('zoom-out-btn');
+        this.zoomFitBtn = document.getElementById('zoom-fit-btn');
+        this.zoomResetBtn = document.getElementById('zoom-reset-btn');
+        this.zoomLevel = document.getElementById('zoom-level');
 
         // Buttons
+        this.undoBtn = document.getElementById('undo-btn');
+        this.redoBtn = document.getElementById('redo-btn');
         this.addDescendentBtn = document.getElementById('add-descendent-btn');
+        this.addMovementBtn = document.getElementById('add-movement-btn');
         this.deleteBtn = document.getElementById('delete-btn');
         this.autoLayoutBtn = document.getElementById('auto-layout-btn');
+        this.alignLeavesToggle = document.getElementById('align-leaves-toggle');
+        this.imageAsDrawnToggle = document.getElementById('image-as-drawn-toggle');
         this.clearBtn = document.getElementById('clear-btn');
         this.exportBtn = document.getElementById('export-btn');
         this.importBtn = document.getElementById('import-btn');
+        this.exportLatexBtn = document.getElementById('export-latex-btn');
+        this.exportSvgBtn = document.getElementById('export-svg-btn');
+        this.exportPngBtn = document.getElementById('export-png-btn');
+        this.saveFileBtn = document.getElementById('save-file-btn');
+        this.openFileBtn = document.getElementById('open-file-btn');
+        this.fileInput = document.getElementById('file-input');
+
+        // Import dialog
+        this.importDialog = document.getElementById('import-dialog');
+        this.importText = document.getElementById('import-text');
+        this.importDialect = document.getElementById('import-dialect');
+        this.importMerge = document.getElementById('import-merge');
+        this.importError = document.getElementById('import-error');
+        this.importErrorMessage = document.getElementById('import-error-message');
+        this.importErrorContext = document.getElementById('import-error-context');
+        this.importConfirmBtn = document.getElementById('import-confirm-btn');
+        this.importCancelBtn = document.getElementById('import-cancel-btn');
+        this.importFileBtn = document.getElementById('import-file-btn');
+        this.importFileInput = document.getElementById('import-file-input');
+        this.exportTreebankBtn = document.getElementById('export-treebank-btn');
+
+        // Imported sentences being stepped through, if a file had several
+        this.corpus = null;
+        this.corpusBar = document.getElementById('corpus-bar');
+        this.corpusStatus = document.getElementById('corpus-status');
+        this.corpusText = document.getElementById('corpus-text');
+        this.corpusPrevBtn = document.getElementById('corpus-prev-btn');
+        this.corpusNextBtn = document.getElementById('corpus-next-btn');
+        this.corpusCloseBtn = document.getElementById('corpus-close-btn');
+
+        // Start from sentence dialog; parses are kept while the user picks one
+        this.sentenceBtn = document.getElementById('sentence-btn');
+        this.sentenceDialog = document.getElementById('sentence-dialog');
+        this.sentenceText = document.getElementById('sentence-text');
+        this.sentenceParse = document.getElementById('sentence-parse');
+        this.grammarRules = document.getElementById('grammar-rules');
+        this.grammarLexicon = document.getElementById('grammar-lexicon');
+        this.grammarResetBtn = document.getElementById('grammar-reset-btn');
+        this.sentenceParses = document.getElementById('sentence-parses');
+        this.sentenceError = document.getElementById('sentence-error');
+        this.sentenceConfirmBtn = document.getElementById('sentence-confirm-btn');
+        this.sentenceCancelBtn = document.getElementById('sentence-cancel-btn');
+        this.parseResults = null;
+
+        // Morphology dialog
+        this.morphologyBtn = document.getElementById('morphology-btn');
+        this.morphologyDialog = document.getElementById('morphology-dialog');
+        this.morphWord = document.getElementById('morph-word');
+        this.morphSegmentation = document.getElementById('morph-segmentation');
+        this.morphGloss = document.getElementById('morph-gloss');
+        this.morphCategories = document.getElementById('morph-categories');
+        this.morphPrefixesFirst = document.getElementById('morph-prefixes-first');
+        this.morphPreview = document.getElementById('morph-preview');
+        this.morphError = document.getElementById('morph-error');
+        this.morphConfirmBtn = document.getElementById('morph-confirm-btn');
+        this.morphCancelBtn = document.getElementById('morph-cancel-btn');
+
+        // Compare dialog: an answer key and a tree to check, each a separate model
+        this.compareBtn = document.getElementById('compare-btn');
+        this.compareDialog = document.getElementById('compare-dialog');
+        this.compareTrees = { key: null, answer: null };
+        this.comparePanes = {};
+        ['key', 'answer'].forEach(side => {
+            this.comparePanes[side] = {
+                workspaceBtn: document.getElementById(`compare-${side}-workspace-btn`),
+                fileBtn: document.getElementById(`compare-${side}-file-btn`),
+                notation: document.getElementById(`compare-${side}-notation`),
+                loadBtn: document.getElementById(`compare-${side}-load-btn`),
+                tree: document.getElementById(`compare-${side}-tree`)
+            };
+        });
+        this.compareFileInput = document.getElementById('compare-file-input');
+        this.compareFileSide = null;
+        this.compareError = document.getElementById('compare-error');
+        this.compareSummary = document.getElementById('compare-summary');
+        this.compareDifferences = document.getElementById('compare-differences');
+        this.compareCloseBtn = document.getElementById('compare-close-btn');
+
+        // Assignments: the task being worked on (from a task file), and answer keys being collected for a new one
+        this.assignment = null;
+        this.answerKeys = [];
+        this.assignmentReport = null;
+        this.assignmentBtn = document.getElementById('assignment-btn');
+        this.assignmentDialog = document.getElementById('assignment-dialog');
+        this.assignmentTask = document.getElementById('assignment-task');
+        this.assignmentSentence = document.getElementById('assignment-sentence');
+        this.assignmentCheckBtn = document.getElementById('assignment-check-btn');
+        this.assignmentReportBtn = document.getElementById('assignment-report-btn');
+        this.assignmentLeaveBtn = document.getElementById('assignment-leave-btn');
+        this.assignmentReportText = document.getElementById('assignment-report');
+        this.assignmentCreate = document.getElementById('assignment-create');
+        this.assignmentAddKeyBtn = document.getElementById('assignment-add-key-btn');
+        this.assignmentClearKeysBtn = document.getElementById('assignment-clear-keys-btn');
+        this.assignmentKeys = document.getElementById('assignment-keys');
+        this.assignmentGiveWords = document.getElementById('assignment-give-words');
+        this.assignmentIgnoreLabels = document.getElementById('assignment-ignore-labels');
+        this.assignmentAllowUnary = document.getElementById('assignment-allow-unary');
+        this.assignmentExportBtn = document.getElementById('assignment-export-btn');
+        this.assignmentCloseBtn = document.getElementById('assignment-close-btn');
         this.resetBtn = document.getElementById('reset-btn');
 
+        // Block palettes
+        this.palettes = new PaletteManager(this.storage);
+        this.paletteEditing = false;
+        this.paletteSelect = document.getElementById('palette-select');
+        this.paletteBlocks = document.getElementById('palette-blocks');
+        this.paletteEditBtn = document.getElementById('palette-edit-btn');
+        this.paletteNewBtn = document.getElementById('palette-new-btn');
+        this.paletteDeleteBtn = document.getElementById('palette-delete-btn');
+        this.paletteImportBtn = document.getElementById('palette-import-btn');
+        this.paletteExportBtn = document.getElementById('palette-export-btn');
+        this.paletteFileInput = document.getElementById('palette-file-input');
+        this.selectSubtreeBtn = document.getElementById('select-subtree-btn');
+        this.collapseBtn = document.getElementById('collapse-btn');
+        this.shortcutsBtn = document.getElementById('shortcuts-btn');
+
+        // Node properties panel
+        this.propertiesPanel = document.getElementById('properties-panel');
+        this.propertyFields = {
+            label: document.getElementById('prop-label'),
+            type: document.getElementById('prop-type'),
+            family: document.getElementById('prop-family'),
+            subscript: document.getElementById('prop-subscript'),
+            features: document.getElementById('prop-features'),
+            notes: document.getElementById('prop-notes'),
+            roof: document.getElementById('prop-roof'),
+            functionTags: document.getElementById('prop-function-tags'),
+            morph: document.getElementById('prop-morph'),
+            gloss: document.getElementById('prop-gloss'),
+            locked: document.getElementById('prop-locked')
+        };
+        this.propertySnapshot = null;
+        this.propertyChanged = false;
+
+        // Diagnostics panel
+        this.validator = new TreeValidator(this.storage.loadValidationSettings());
+        this.diagnostics = [];
+        this.validationSummary = document.getElementById('validation-summary');
+        this.validationList = document.getElementById('validation-list');
+        this.validationRules = document.getElementById('validation-rules');
+        this.validationPreset = document.getElementById('validation-preset');
+        this.validationImportBtn = document.getElementById('validation-import-btn');
+        this.validationExportBtn = document.getElementById('validation-export-btn');
+        this.validationFileInput = document.getElementById('validation-file-input');
+        // The structure last validated; moving nodes doesn't change it
+        this.validatedStructure = null;
+        this.shortcutsDialog = document.getElementById('shortcuts-dialog');
+        this.shortcutsCloseBtn = document.getElementById('shortcuts-close-btn');
+        this.saveTreeBtn = document.getElementById('save-tree-btn');
+        this.savedTreesList = document.getElementById('saved-trees-list');
+
         this.draggedNode = null;
         this.draggedElement = null;
         this.dragInitialX = 0;
         this.dragInitialY = 0;
-        this.dragNodeStartX = 0;
-        this.dragNodeStartY = 0;
+        this.dragStartPositions = new Map();
+        this.dragSnapshot = null;
+        this.dragMoved = false;
+        this.dragNarrowsSelection = false;
+
+        // Panning on empty space, and touch pointers for pinch zoom
+        this.panStart = null;
+        this.panMoved = false;
+        this.activePointers = new Map();
+        this.pinchStart = null;
+
+        // Shift-drag on empty space draws a selection box
+        this.rubberBand = null;
+        this.rubberBandElement = document.getElementById('rubber-band');
+        this.pasteCount = 0;
+
+        // Node whose label is being edited in place: { nodeId, isNew }
+        this.inlineEdit = null;
 
         this.setupEventListeners();
+        this.renderPalette();
+        this.restoreWorkspace();
+        this.renderSavedTrees();
+        this.renderValidationSettings();
+        this.applyView();
+        this.updateUI();
     }
 
     setupEventListeners() {
@@ -158,15 +892,28 @@ class TreeApp {
         document.addEventListener('dragstart', (e) => this.onBlockDragStart(e));
         document.addEventListener('dragend', (e) => this.onBlockDragEnd(e));
 
-        // Workspace drop
-        this.workspace.addEventListener('dragover', (e) => this.onWorkspaceDragOver(e));
-        this.workspace.addEventListener('drop', (e) => this.onWorkspaceDrop(e));
+        // Workspace drop (on the wrapper, so drops land anywhere in view at any zoom)
+        this.workspaceWrapper.addEventListener('dragover', (e) => this.onWorkspaceDragOver(e));
+        this.workspaceWrapper.addEventListener('drop', (e) => this.onWorkspaceDrop(e));
 
         // Workspace click
-        this.workspace.addEventListener('click', (e) => this.onWorkspaceClick(e));
+        this.workspaceWrapper.addEventListener('click', (e) => this.onWorkspaceClick(e));
+
+        // Pan and zoom
+        this.workspaceWrapper.addEventListener('wheel', (e) => this.onWorkspaceWheel(e), { passive: false });
+        this.workspaceWrapper.addEventListener('pointerdown', (e) => this.onPanPointerDown(e));
+        this.workspaceWrapper.addEventListener('pointermove', (e) => this.onPanPointerMove(e));
+        this.workspaceWrapper.addEventListener('pointerup', (e) => this.onPanPointerUp(e));
+        this.workspaceWrapper.addEventListener('pointercancel', (e) => this.onPanPointerUp(e));
+        this.zoomInBtn.addEventListener('click', () => this.zoomBy(ZOOM_STEP));
+        this.zoomOutBtn.addEventListener('click', () => this.zoomBy(1 / ZOOM_STEP));
+        this.zoomFitBtn.addEventListener('click', () => this.zoomToFit());
+        this.zoomResetBtn.addEventListener('click', () => this.resetZoom());
 
         // SVG edge click
         this.svg.addEventListener('click', (e) => this.onSVGClick(e));
+        this.svg.addEventListener('dblclick', (e) => this.onSVGDoubleClick(e));
+        this.treeModeSelect.addEventListener('change', () => this.onTreeModeChange());
 
         // Node interactions
         document.addEventListener('pointerdown', (e) => this.onNodePointerDown(e));
@@ -177,16 +924,133 @@ class TreeApp {
         document.addEventListener('keydown', (e) => this.onKeyDown(e));
 
         // Toolbar buttons
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.redoBtn.addEventListener('click', () => this.redo());
         this.addDescendentBtn.addEventListener('click', () => this.onAddDescendentClick());
+        this.addMovementBtn.addEventListener('click', () => this.onAddMovementClick());
         this.deleteBtn.addEventListener('click', () => this.onDeleteClick());
+        this.selectSubtreeBtn.addEventListener('click', () => this.selectSubtree());
+        this.collapseBtn.addEventListener('click', () => this.onCollapseClick());
         this.autoLayoutBtn.addEventListener('click', () => this.onAutoLayoutClick());
         this.clearBtn.addEventListener('click', () => this.onClearClick());
         this.exportBtn.addEventListener('click', () => this.onExportClick());
         this.importBtn.addEventListener('click', () => this.onImportClick());
+        this.exportLatexBtn.addEventListener('click', () => this.onExportLaTeXClick());
+        this.exportSvgBtn.addEventListener('click', () => this.onExportSVGClick());
+        this.exportPngBtn.addEventListener('click', () => this.onExportPNGClick());
+        this.saveFileBtn.addEventListener('click', () => this.onSaveFileClick());
+        this.openFileBtn.addEventListener('click', () => this.onOpenFileClick());
+        this.fileInput.addEventListener('change', (e) => this.onFileInputChange(e));
+
+        // Import dialog
+        this.importConfirmBtn.addEventListener('click', () => this.onImportConfirm());
+        this.importCancelBtn.addEventListener('click', () => this.closeImportDialog());
+        this.importFileBtn.addEventListener('click', () => {
+            this.importFileInput.value = '';
+            this.importFileInput.click();
+        });
+        this.importFileInput.addEventListener('change', (e) => this.onImportFileChange(e));
+        this.exportTreebankBtn.addEventListener('click', () => this.onExportTreebankClick());
+        this.corpusPrevBtn.addEventListener('click', () => this.onCorpusStep(-1));
+        this.corpusNextBtn.addEventListener('click', () => this.onCorpusStep(1));
+        this.corpusCloseBtn.addEventListener('click', () => this.closeCorpus());
+
+        // Start from sentence
+        this.sentenceBtn.addEventListener('click', () => this.onSentenceClick());
+        this.sentenceConfirmBtn.addEventListener('click', () => this.onSentenceConfirm());
+        this.sentenceCancelBtn.addEventListener('click', () => this.closeSentenceDialog());
+        this.grammarResetBtn.addEventListener('click', () => this.onGrammarResetClick());
+        [this.sentenceText, this.grammarRules, this.grammarLexicon, this.sentenceParse].forEach(field => {
+            field.addEventListener('input', () => this.clearParseChoices());
+        });
+        this.sentenceText.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.onSentenceConfirm();
+        });
+
+        // Morphology
+        this.morphologyBtn.addEventListener('click', () => this.onMorphologyClick());
+        this.morphConfirmBtn.addEventListener('click', () => this.onMorphologyConfirm());
+        this.morphCancelBtn.addEventListener('click', () => this.closeMorphologyDialog());
+        this.morphWord.addEventListener('input', () => {
+            this.morphSegmentation.value = suggestSegmentation(this.morphWord.value);
+            this.updateMorphologyPreview();
+        });
+        [this.morphSegmentation, this.morphGloss, this.morphCategories, this.morphPrefixesFirst].forEach(field => {
+            field.addEventListener('input', () => this.updateMorphologyPreview());
+        });
+        this.importText.addEventListener('input', () => this.hideImportError());
+
+        // Tree comparison
+        this.compareBtn.addEventListener('click', () => this.onCompareClick());
+        this.compareCloseBtn.addEventListener('click', () => this.closeCompareDialog());
+        Object.entries(this.comparePanes).forEach(([side, pane]) => {
+            pane.workspaceBtn.addEventListener('click', () => this.loadCompareTree(side, () => this.model.snapshot()));
+            pane.loadBtn.addEventListener('click', () => this.onCompareNotationLoad(side));
+            pane.fileBtn.addEventListener('click', () => {
+                this.compareFileSide = side;
+                this.compareFileInput.value = '';
+                this.compareFileInput.click();
+            });
+        });
+        this.compareFileInput.addEventListener('change', (e) => this.onCompareFileChange(e));
+
+        // Assignments
+        this.assignmentBtn.addEventListener('click', () => this.onAssignmentClick());
+        this.assignmentCloseBtn.addEventListener('click', () => this.closeAssignmentDialog());
+        this.assignmentCheckBtn.addEventListener('click', () => this.onCheckAssignmentClick());
+        this.assignmentReportBtn.addEventListener('click', () => this.onExportReportClick());
+        this.assignmentLeaveBtn.addEventListener('click', () => this.onLeaveAssignmentClick());
+        this.assignmentAddKeyBtn.addEventListener('click', () => this.onAddAnswerKeyClick());
+        this.assignmentClearKeysBtn.addEventListener('click', () => {
+            this.answerKeys = [];
+            this.updateAssignmentDialog();
+        });
+        this.assignmentExportBtn.addEventListener('click', () => this.onExportTaskClick());
+
+        // Node properties panel
+        Object.entries(this.propertyFields).forEach(([key, field]) => {
+            field.addEventListener('focus', () => this.onPropertyFocus());
+            field.addEventListener(field.tagName === 'SELECT' ? 'change' : 'input', () => this.onPropertyInput(key));
+            field.addEventListener('change', () => this.onPropertyCommit());
+            field.addEventListener('blur', () => this.onPropertyCommit());
+        });
+
+        // Diagnostics panel
+        this.validationList.addEventListener('click', (e) => this.onDiagnosticClick(e));
+        this.validationRules.addEventListener('change', (e) => this.onValidationRuleChange(e));
+        this.validationPreset.addEventListener('change', () => this.onValidationPresetChange());
+        this.validationExportBtn.addEventListener('click', () => this.onExportValidationClick());
+        this.validationImportBtn.addEventListener('click', () => {
+            this.validationFileInput.value = '';
+            this.validationFileInput.click();
+        });
+        this.validationFileInput.addEventListener('change', (e) => this.onValidationFileChange(e));
+
+        // Keyboard shortcut cheat sheet
+        this.shortcutsBtn.addEventListener('click', () => this.toggleShortcuts());
+        this.shortcutsCloseBtn.addEventListener('click', () => this.toggleShortcuts(false));
 
         // Sidebar reset button
         this.resetBtn.addEventListener('click', () => this.onResetClick());
 
+        // Block palettes
+        this.paletteSelect.addEventListener('change', () => this.onPaletteSelect());
+        this.paletteEditBtn.addEventListener('click', () => this.togglePaletteEditing());
+        this.paletteNewBtn.addEventListener('click', () => this.onNewPaletteClick());
+        this.paletteDeleteBtn.addEventListener('click', () => this.onDeletePaletteClick());
+        this.paletteExportBtn.addEventListener('click', () => this.onExportPaletteClick());
+        this.paletteImportBtn.addEventListener('click', () => {
+            this.paletteFileInput.value = '';
+            this.paletteFileInput.click();
+        });
+        this.paletteFileInput.addEventListener('change', (e) => this.onPaletteFileChange(e));
+        this.paletteBlocks.addEventListener('click', (e) => this.onPaletteBlockClick(e));
+        this.paletteBlocks.addEventListener('change', (e) => this.onPaletteBlockColorChange(e));
+
+        // Saved trees panel
+        this.saveTreeBtn.addEventListener('click', () => this.onSaveTreeClick());
+        this.savedTreesList.addEventListener('click', (e) => this.onSavedTreeAction(e));
+
         // Double-click node to edit label
         document.addEventListener('dblclick', (e) => this.onNodeDoubleClick(e));
     }
@@ -202,85 +1066,327 @@ class TreeApp {
         const newLabel = prompt('Enter custom label:', 'Custom');
         if (!newLabel || !newLabel.trim()) return;
 
-        const label = newLabel.trim();
-        const isCustomSyntax = customBlock.classList.contains('custom-syntax');
-        const blockList = customBlock.closest('.block-list');
-
-        // Create new custom block with the given label
-        const newBlock = document.createElement('div');
-        newBlock.className = `block ${isCustomSyntax ? 'custom-syntax' : 'custom-morphology'}`;
-        newBlock.textContent = label;
-        newBlock.draggable = true;
-        newBlock.classList.add('user-custom');
+        const family = customBlock.classList.contains('custom-syntax') ? 'syntax' : 'morphology';
+        this.addCustomBlock(newLabel.trim(), family);
+        this.scheduleAutosave();
+    }
 
-        // Insert before the "custom" block
-        blockList.insertBefore(newBlock, customBlock);
+    addCustomBlock(label, family) {
+        this.palettes.addBlock({ label, family });
+        this.renderPalette();
     }
 
-    // DRAG-DROP FROM SIDEBAR
+    // BLOCK PALETTES
 
-    onBlockDragStart(e) {
-        if (!e.target.classList.contains('block')) return;
-        const label = e.target.textContent.trim();
-        const type = e.target.classList.contains('word-block') ? 'WORD' : 'CAT';
-        e.dataTransfer.effectAllowed = 'copy';
-        e.dataTransfer.setData('text/label', label);
-        e.dataTransfer.setData('text/type', type);
-    }
+    renderPalette() {
+        const palette = this.palettes.getActive();
 
-    onBlockDragEnd(e) {
-        // Cleanup if needed
-    }
+        this.paletteSelect.innerHTML = '';
+        this.palettes.palettes.forEach(p => {
+            const option = document.createElement('option');
+            option.value = p.name;
+            option.textContent = p.name;
+            option.selected = p.name === palette.name;
+            this.paletteSelect.appendChild(option);
+        });
 
-    onWorkspaceDragOver(e) {
-        e.preventDefault();
-        e.dataTransfer.dropEffect = 'copy';
-    }
+        this.resetBtn.disabled = !this.palettes.isBuiltIn(palette.name);
+        this.paletteEditBtn.textContent = this.paletteEditing ? 'Done' : 'Edit';
+        this.paletteEditBtn.classList.toggle('active', this.paletteEditing);
+
+        this.paletteBlocks.innerHTML = '';
+        [['syntax', 'Syntax'], ['morphology', 'Morphology']].forEach(([family, title]) => {
+            const section = document.createElement('div');
+            section.className = 'block-section';
+            const heading = document.createElement('h2');
+            heading.textContent = title;
+            const list = document.createElement('div');
+            list.className = 'block-list';
+
+            palette.blocks.forEach((block, index) => {
+                if (block.family === family) list.appendChild(this.createPaletteBlock(block, index));
+            });
 
-    onWorkspaceDrop(e) {
-        e.preventDefault();
-        let label = e.dataTransfer.getData('text/label');
-        const type = e.dataTransfer.getData('text/type') || 'CAT';
+            // Clicking this adds a block to the palette
+            const custom = document.createElement('div');
+            custom.className = `block custom-${family}`;
+            custom.textContent = 'custom';
+            custom.draggable = true;
+            list.appendChild(custom);
 
-        if (type === 'WORD') {
-            const word = prompt('Enter word:', label || '');
-            if (!word || !word.trim()) return;
-            label = word.trim();
+            section.append(heading, list);
+            this.paletteBlocks.appendChild(section);
+        });
+    }
+
+    createPaletteBlock(block, index) {
+        const div = document.createElement('div');
+        div.className = `block ${block.family}`;
+        div.dataset.index = index;
+        if (block.color) {
+            div.dataset.color = block.color;
+            div.style.background = block.color;
+            div.style.color = getContrastColor(block.color);
         }
 
-        if (!label) return;
+        if (!this.paletteEditing) {
+            div.textContent = block.label;
+            div.draggable = true;
+            return div;
+        }
 
-        const rect = this.workspace.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+        // Edit mode: click the label to rename, buttons to reorder or delete
+        div.classList.add('editing');
+        const label = document.createElement('span');
+        label.className = 'block-label';
+        label.dataset.action = 'rename';
+        label.title = 'Rename';
+        label.textContent = block.label;
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.className = 'block-color';
+        color.title = 'Color';
+        color.value = block.color || (block.family === 'morphology' ? '#1a237e' : '#5e35b1');
+
+        const controls = document.createElement('span');
+        controls.className = 'block-controls';
+        [['move-left', '◀', 'Move left'], ['move-right', '▶', 'Move right'], ['clear-color', '⟲', 'Default color'], ['delete', '✕', 'Delete']]
+            .forEach(([action, text, title]) => {
+                if (action === 'clear-color' && !block.color) return;
+                const button = document.createElement('button');
+                button.dataset.action = action;
+                button.title = title;
+                button.textContent = text;
+                controls.appendChild(button);
+            });
+        controls.prepend(color);
 
-        const node = this.model.createNode(label, x, y, type);
-        this.render();
+        div.append(label, controls);
+        return div;
     }
 
-    // NODE SELECTION & INTERACTION
-
-    onWorkspaceClick(e) {
-        // Only clear selection if clicking on empty workspace
-        if (e.target === this.workspace) {
-            this.ui.clearSelection();
-            this.updateUI();
-            this.render();
+    onPaletteBlockClick(e) {
+        const action = e.target.dataset.action;
+        const blockEl = e.target.closest('.block[data-index]');
+        if (!action || !blockEl) return;
+
+        const index = Number(blockEl.dataset.index);
+        const block = this.palettes.getActive().blocks[index];
+
+        if (action === 'rename') {
+            const label = prompt('Block label:', block.label);
+            if (!label || !label.trim()) return;
+            this.palettes.updateBlock(index, { label: label.trim() });
+        } else if (action === 'delete') {
+            this.palettes.removeBlock(index);
+        } else if (action === 'clear-color') {
+            this.palettes.updateBlock(index, { color: undefined });
+        } else {
+            this.palettes.moveBlock(index, action === 'move-left' ? -1 : 1);
         }
+        this.renderPalette();
     }
 
-    onSVGClick(e) {
-        if (e.target.tagName === 'line') {
-            const edgeId = e.target.dataset.edgeId;
-            this.ui.selectEdge(edgeId);
-            this.updateUI();
-            this.render();
-        }
+    onPaletteBlockColorChange(e) {
+        if (!e.target.classList.contains('block-color')) return;
+        const blockEl = e.target.closest('.block[data-index]');
+        this.palettes.updateBlock(Number(blockEl.dataset.index), { color: e.target.value });
+        this.renderPalette();
+    }
+
+    togglePaletteEditing() {
+        this.paletteEditing = !this.paletteEditing;
+        this.renderPalette();
+    }
+
+    onPaletteSelect() {
+        this.palettes.setActive(this.paletteSelect.value);
+        this.renderPalette();
+    }
+
+    onNewPaletteClick() {
+        const active = this.palettes.getActive();
+        const name = prompt(`Name for the new palette (starts as a copy of "${active.name}"):`, '');
+        if (!name || !name.trim()) return;
+
+        try {
+            this.palettes.createPalette(name.trim(), active.blocks);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.renderPalette();
+    }
+
+    onDeletePaletteClick() {
+        const name = this.palettes.activeName;
+        if (!confirm(`Delete the palette "${name}"?`)) return;
+
+        try {
+            this.palettes.deletePalette(name);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.renderPalette();
+    }
+
+    onExportPaletteClick() {
+        const palette = this.palettes.getActive();
+        const json = JSON.stringify(new PaletteFormat().serialize(palette), null, 2);
+        const filename = palette.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'palette';
+        this.downloadFile(`${filename}.palette.json`, json, 'application/json');
+    }
+
+    onPaletteFileChange(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let palette;
+            try {
+                const format = new PaletteFormat();
+                palette = format.validate(format.parse(reader.result));
+            } catch (error) {
+                alert(`Could not open ${file.name}: ${error.message}`);
+                return;
+            }
+            this.importPalette(palette);
+        };
+        reader.onerror = () => alert(`Could not read ${file.name}.`);
+        reader.readAsText(file);
+    }
+
+    importPalette(palette) {
+        // Keep an existing palette of the same name unless the user agrees to replace it
+        while (this.palettes.find(palette.name) &&
+            !confirm(`A palette named "${palette.name}" already exists. Replace it?`)) {
+            const name = prompt('Import under a different name:', `${palette.name} (imported)`);
+            if (!name || !name.trim()) return;
+            palette = { ...palette, name: name.trim() };
+        }
+
+        this.palettes.importPalette(palette);
+        this.renderPalette();
+    }
+
+    // DRAG-DROP FROM SIDEBAR
+
+    onBlockDragStart(e) {
+        if (!e.target.classList.contains('block')) return;
+        const label = e.target.textContent.trim();
+        const isMorphology = e.target.classList.contains('morphology') || e.target.classList.contains('custom-morphology');
+        // Root, Prefix, Suffix and Infix blocks make morphemes rather than categories
+        const morph = isMorphology && MORPHEME_ROLES.includes(label.toLowerCase()) ? label.toLowerCase() : '';
+        const type = e.target.classList.contains('word-block') || morph ? 'WORD' : 'CAT';
+        e.dataTransfer.effectAllowed = 'copy';
+        e.dataTransfer.setData('text/label', label);
+        e.dataTransfer.setData('text/type', type);
+        e.dataTransfer.setData('text/morph', morph);
+        e.dataTransfer.setData('text/family', isMorphology ? 'morphology' : 'syntax');
+        e.dataTransfer.setData('text/color', e.target.dataset.color || '');
+    }
+
+    onBlockDragEnd(e) {
+        // Cleanup if needed
+    }
+
+    onWorkspaceDragOver(e) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    }
+
+    onWorkspaceDrop(e) {
+        e.preventDefault();
+        let label = e.dataTransfer.getData('text/label');
+        const type = e.dataTransfer.getData('text/type') || 'CAT';
+        const family = e.dataTransfer.getData('text/family') || 'syntax';
+        const color = e.dataTransfer.getData('text/color');
+        const morph = e.dataTransfer.getData('text/morph');
+
+        if (morph) {
+            const form = prompt(`Enter ${morph}:`, '');
+            if (!form || !form.trim()) return;
+            // Hyphens and angle brackets are drawn from the role, so drop any that were typed
+            const typed = readMorphemeToken(form.trim());
+            label = typed ? typed.label : form.trim();
+        } else if (type === 'WORD') {
+            const word = prompt('Enter word:', label || '');
+            if (!word || !word.trim()) return;
+            label = word.trim();
+        }
+
+        if (!label) return;
+
+        const { x, y } = this.clientToWorkspace(e.clientX, e.clientY);
+
+        this.recordHistory();
+        const props = type === 'CAT' ? { family } : {};
+        if (morph) props.morph = morph;
+        if (isHexColor(color)) props.color = color;
+        const node = this.model.createNode(label, x, y, type, props);
+        this.fitNodeWidth(node);
+        this.ui.selectNode(node.id);
+        this.updateUI();
+        this.render();
+    }
+
+    // NODE SELECTION & INTERACTION
+
+    onWorkspaceClick(e) {
+        // Only clear selection if clicking on empty workspace, not at the end of a pan
+        if (this.panMoved) {
+            this.panMoved = false;
+            return;
+        }
+        if (isEmptyWorkspaceTarget(e.target, this)) {
+            this.ui.clearSelection();
+            this.updateUI();
+            this.render();
+        }
+    }
+
+    onSVGClick(e) {
+        if (e.target.dataset.edgeId) {
+            const edgeId = e.target.dataset.edgeId;
+            this.ui.selectEdge(edgeId);
+            this.updateUI();
+            this.render();
+        } else if (e.target.dataset.movementId) {
+            this.ui.selectMovement(e.target.dataset.movementId);
+            this.updateUI();
+            this.render();
+        }
+    }
+
+    onSVGDoubleClick(e) {
+        if (e.target.dataset.edgeId) this.editEdgeRelation(e.target.dataset.edgeId);
+    }
+
+    // Relations (nsubj, obj) label edges; an empty answer removes the label
+    editEdgeRelation(edgeId) {
+        const edge = this.model.edges.find(e => e.id === edgeId);
+        if (!edge) return;
+
+        const input = prompt('Relation:', edge.relation || '');
+        if (input === null || input.trim() === (edge.relation || '')) return;
+
+        this.recordHistory();
+        if (input.trim()) {
+            edge.relation = input.trim();
+        } else {
+            delete edge.relation;
+        }
+        this.ui.selectEdge(edgeId);
+        this.updateUI();
+        this.render();
     }
 
     onNodePointerDown(e) {
         const nodeEl = e.target.closest('.node');
-        if (!nodeEl) return;
+        if (!nodeEl || nodeEl.isContentEditable) return;
 
         e.preventDefault();
         const nodeId = nodeEl.dataset.nodeId;
@@ -291,27 +1397,54 @@ class TreeApp {
             return;
         }
 
-        // Select the node
-        this.ui.selectNode(nodeId);
+        if (this.ui.movementMode) {
+            // In movement mode: click on node makes it the landing site
+            this.connectMovement(nodeId);
+            return;
+        }
+
+        if (e.target.closest('.collapsed-badge')) {
+            this.toggleCollapse(nodeId);
+            return;
+        }
+
+        // Shift/Ctrl-click toggles the node in the selection; a plain click on a
+        // node that is already part of a group keeps the group so it can be
+        // dragged, and narrows the selection to that node if no drag follows
+        this.dragNarrowsSelection = false;
+        if (e.shiftKey || e.ctrlKey || e.metaKey) {
+            this.ui.toggleNodeSelection(nodeId);
+        } else if (!this.ui.isNodeSelected(nodeId)) {
+            this.ui.selectNode(nodeId);
+        } else {
+            this.ui.selectedNode = nodeId;
+            this.dragNarrowsSelection = this.ui.selectedNodes.size > 1;
+        }
         this.updateUI();
         this.render();
 
+        if (!this.ui.isNodeSelected(nodeId)) return;
+
         // Prepare drag with pointer capture
         this.draggedNode = nodeId;
         this.draggedElement = nodeEl;
 
-        // Store initial pointer position relative to workspace
-        const workspaceRect = this.workspace.getBoundingClientRect();
-        const workspaceWrapper = this.workspace.parentElement;
-        const nodeRect = nodeEl.getBoundingClientRect();
+        // Store initial pointer position in workspace coordinates (independent of pan and zoom)
+        const start = this.clientToWorkspace(e.clientX, e.clientY);
+        this.dragInitialX = start.x;
+        this.dragInitialY = start.y;
 
-        // Account for workspace scroll position
-        this.dragInitialX = e.clientX - workspaceRect.left + workspaceWrapper.scrollLeft;
-        this.dragInitialY = e.clientY - workspaceRect.top + workspaceWrapper.scrollTop;
+        // Every selected node moves with the pointer, keeping relative positions;
+        // collapsed nodes carry their hidden subtree along
+        this.dragStartPositions = new Map();
+        this.model.nodes
+            .filter(n => this.ui.isNodeSelected(n.id))
+            .flatMap(n => n.collapsed ? this.getSubtreeNodes(n.id) : [n])
+            .forEach(n => this.dragStartPositions.set(n.id, { x: n.x, y: n.y }));
 
-        const node = this.model.nodes.find(n => n.id === nodeId);
-        this.dragNodeStartX = node.x;
-        this.dragNodeStartY = node.y;
+        // The whole drag gesture becomes one history step, recorded on release
+        this.dragSnapshot = this.model.snapshot();
+        this.dragMoved = false;
 
         // Capture pointer to this element
         nodeEl.setPointerCapture(e.pointerId);
@@ -320,25 +1453,29 @@ class TreeApp {
     onNodePointerMove(e) {
         if (!this.draggedNode || !this.draggedElement) return;
 
-        const workspaceRect = this.workspace.getBoundingClientRect();
-        const workspaceWrapper = this.workspace.parentElement;
-
-        // Current pointer position relative to workspace (accounting for scroll)
-        const currentX = e.clientX - workspaceRect.left + workspaceWrapper.scrollLeft;
-        const currentY = e.clientY - workspaceRect.top + workspaceWrapper.scrollTop;
-
-        // Calculate delta from initial position
-        const deltaX = currentX - this.dragInitialX;
-        const deltaY = currentY - this.dragInitialY;
-
-        // Calculate new position
-        const x = Math.max(0, this.dragNodeStartX + deltaX);
-        const y = Math.max(0, this.dragNodeStartY + deltaY);
+        // Current pointer position in workspace coordinates
+        const current = this.clientToWorkspace(e.clientX, e.clientY);
+
+        // Calculate delta from initial position, stopping the group at the workspace edge
+        const starts = Array.from(this.dragStartPositions.values());
+        const deltaX = Math.max(current.x - this.dragInitialX, -Math.min(...starts.map(p => p.x)));
+        const deltaY = Math.max(current.y - this.dragInitialY, -Math.min(...starts.map(p => p.y)));
+
+        let moved = false;
+        this.dragStartPositions.forEach((start, id) => {
+            const node = this.model.nodes.find(n => n.id === id);
+            if (!node) return;
+            const x = start.x + deltaX;
+            const y = start.y + deltaY;
+            if (node.x !== x || node.y !== y) {
+                node.x = x;
+                node.y = y;
+                moved = true;
+            }
+        });
 
-        const node = this.model.nodes.find(n => n.id === this.draggedNode);
-        if (node) {
-            node.x = x;
-            node.y = y;
+        if (moved) {
+            this.dragMoved = true;
             this.render();
         }
     }
@@ -347,23 +1484,403 @@ class TreeApp {
         if (this.draggedElement) {
             this.draggedElement.releasePointerCapture(e.pointerId);
         }
+        if (this.dragMoved && this.dragSnapshot) {
+            this.history.record(this.dragSnapshot);
+            this.reorderDraggedNodes();
+            this.updateUI();
+            this.render();
+        } else if (this.draggedNode && this.dragNarrowsSelection) {
+            this.ui.selectNode(this.draggedNode);
+            this.updateUI();
+            this.render();
+        }
+        this.dragNarrowsSelection = false;
         this.draggedNode = null;
         this.draggedElement = null;
+        this.dragStartPositions = new Map();
+        this.dragSnapshot = null;
+        this.dragMoved = false;
+    }
+
+    // A node dropped past a sibling takes that place in the child order
+    reorderDraggedNodes() {
+        const dragged = Array.from(this.dragStartPositions.keys());
+        dragged.forEach(id => {
+            const parent = this.model.getParentOf(id);
+            if (!parent || this.dragStartPositions.has(parent.id)) return;
+
+            const node = this.model.nodes.find(n => n.id === id);
+            const center = node.x + node.width / 2;
+            const others = this.model.getChildrenOf(parent.id).filter(n => n.id !== id);
+            const index = others.filter(n => n.x + n.width / 2 < center).length;
+            this.model.moveChild(id, index);
+        });
     }
 
     onNodeDoubleClick(e) {
         const nodeEl = e.target.closest('.node');
-        if (!nodeEl) return;
+        if (!nodeEl || nodeEl.isContentEditable) return;
 
         const nodeId = nodeEl.dataset.nodeId;
-        const node = this.model.nodes.find(n => n.id === nodeId);
+        if (!this.model.nodes.some(n => n.id === nodeId)) return;
+
+        this.ui.selectNode(nodeId);
+        this.startInlineEdit(nodeId);
+    }
+
+    // PROPERTIES PANEL
+
+    getSelectedNodeObject() {
+        return this.model.nodes.find(n => n.id === this.ui.selectedNode) || null;
+    }
+
+    updatePropertiesPanel() {
+        const node = this.getSelectedNodeObject();
+        this.propertiesPanel.hidden = !node;
         if (!node) return;
 
-        const newLabel = prompt('Edit node label (format: "Label" or "Label leaftext"):', node.label);
-        if (newLabel !== null && newLabel.trim()) {
-            node.label = newLabel.trim();
-            this.render();
+        const values = {
+            label: node.label,
+            type: node.type,
+            family: node.family || 'syntax',
+            subscript: node.subscript || '',
+            features: node.features || '',
+            notes: node.notes || '',
+            roof: Boolean(node.roof),
+            functionTags: node.functionTags || '',
+            morph: node.morph || '',
+            gloss: node.gloss || '',
+            locked: Boolean(node.locked)
+        };
+
+        // Don't overwrite the field the user is typing in
+        Object.entries(this.propertyFields).forEach(([key, field]) => {
+            if (field.type === 'checkbox') {
+                field.checked = values[key];
+            } else if (field !== document.activeElement) {
+                field.value = values[key];
+            }
+        });
+        // Given nodes of a task keep everything but their notes
+        const locked = this.isLockedNode(node);
+        Object.entries(this.propertyFields).forEach(([key, field]) => {
+            field.disabled = locked && key !== 'notes';
+        });
+        if (!locked) {
+            this.propertyFields.family.disabled = node.type === 'WORD';
+            this.propertyFields.roof.disabled = node.type === 'WORD';
+            this.propertyFields.functionTags.disabled = node.type === 'WORD';
+            this.propertyFields.morph.disabled = node.type !== 'WORD';
+            this.propertyFields.gloss.disabled = node.type !== 'WORD';
+        }
+        // Only whoever writes the task decides what is given
+        this.propertyFields.locked.disabled = Boolean(this.assignment);
+    }
+
+    onPropertyFocus() {
+        // Everything typed while a field has focus becomes one history step
+        this.propertySnapshot = this.model.snapshot();
+        this.propertyChanged = false;
+    }
+
+    onPropertyInput(key) {
+        const node = this.getSelectedNodeObject();
+        if (!node) return;
+
+        const field = this.propertyFields[key];
+        const value = key === 'notes' ? field.value : field.value.trim();
+
+        if (key === 'label') {
+            if (!value) return;
+            node.label = value;
+        } else if (key === 'roof' || key === 'locked') {
+            if (field.checked) {
+                node[key] = true;
+            } else {
+                delete node[key];
+            }
+        } else if (key === 'type' || key === 'family') {
+            node[key] = value;
+        } else if (value) {
+            node[key] = value;
+        } else {
+            delete node[key];
+        }
+
+        if (key === 'type' && value === 'CAT' && !node.family) {
+            node.family = 'syntax';
+        }
+
+        if (!this.propertySnapshot) {
+            this.propertySnapshot = this.model.snapshot();
+        }
+        this.propertyChanged = true;
+        this.fitNodeWidth(node);
+        this.render();
+    }
+
+    onPropertyCommit() {
+        if (this.propertyChanged && this.propertySnapshot) {
+            this.history.record(this.propertySnapshot);
+            this.updateUI();
+        }
+        this.propertySnapshot = null;
+        this.propertyChanged = false;
+    }
+
+    // PAN & ZOOM
+
+    clientToWorkspace(clientX, clientY) {
+        const rect = this.workspaceWrapper.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left - this.ui.panX) / this.ui.zoom,
+            y: (clientY - rect.top - this.ui.panY) / this.ui.zoom
+        };
+    }
+
+    // Zoom keeping the workspace point under (clientX, clientY) fixed on screen
+    zoomAt(zoom, clientX, clientY) {
+        const rect = this.workspaceWrapper.getBoundingClientRect();
+        const anchor = this.clientToWorkspace(clientX, clientY);
+        this.ui.setZoom(zoom);
+        this.ui.panX = clientX - rect.left - anchor.x * this.ui.zoom;
+        this.ui.panY = clientY - rect.top - anchor.y * this.ui.zoom;
+        this.applyView();
+    }
+
+    zoomBy(factor) {
+        const rect = this.workspaceWrapper.getBoundingClientRect();
+        this.zoomAt(this.ui.zoom * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    }
+
+    zoomToFit() {
+        if (this.model.nodes.length === 0) {
+            this.resetZoom();
+            return;
+        }
+
+        const padding = 40;
+        const nodes = this.getVisibleNodes();
+        const minX = Math.min(...nodes.map(n => n.x));
+        const minY = Math.min(...nodes.map(n => n.y));
+        const maxX = Math.max(...nodes.map(n => n.x + n.width));
+        const maxY = Math.max(...nodes.map(n => n.y + n.height));
+        const viewWidth = this.workspaceWrapper.clientWidth;
+        const viewHeight = this.workspaceWrapper.clientHeight;
+
+        const zoom = this.ui.setZoom(Math.min(
+            (viewWidth - padding * 2) / (maxX - minX),
+            (viewHeight - padding * 2) / (maxY - minY)
+        ));
+        this.ui.panX = (viewWidth - (maxX - minX) * zoom) / 2 - minX * zoom;
+        this.ui.panY = (viewHeight - (maxY - minY) * zoom) / 2 - minY * zoom;
+        this.applyView();
+    }
+
+    resetZoom() {
+        this.ui.resetView();
+        this.applyView();
+    }
+
+    applyView() {
+        const { zoom, panX, panY } = this.ui;
+        this.workspaceStage.style.transform = `translate(${panX}px, ${panY}px) scale(${zoom})`;
+        this.zoomLevel.textContent = `${Math.round(zoom * 100)}%`;
+    }
+
+    onWorkspaceWheel(e) {
+        e.preventDefault();
+        // Trackpad pinch arrives as a ctrl+wheel with small deltas
+        const factor = Math.exp(-e.deltaY * (e.ctrlKey ? 0.01 : 0.0015));
+        this.zoomAt(this.ui.zoom * factor, e.clientX, e.clientY);
+    }
+
+    onPanPointerDown(e) {
+        if (!isEmptyWorkspaceTarget(e.target, this)) return;
+
+        if (e.shiftKey && e.pointerType !== 'touch') {
+            this.startRubberBand(e);
+            return;
+        }
+
+        this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.activePointers.size === 2) {
+            // Second finger down: switch from panning to pinch zoom
+            const [a, b] = Array.from(this.activePointers.values());
+            this.pinchStart = { distance: Math.hypot(a.x - b.x, a.y - b.y), zoom: this.ui.zoom };
+            this.panStart = null;
+            return;
+        }
+
+        this.panStart = { x: e.clientX, y: e.clientY, panX: this.ui.panX, panY: this.ui.panY };
+        this.panMoved = false;
+        this.workspaceWrapper.setPointerCapture(e.pointerId);
+        this.workspaceWrapper.classList.add('panning');
+    }
+
+    onPanPointerMove(e) {
+        if (this.rubberBand) {
+            this.updateRubberBand(e);
+            return;
+        }
+        if (!this.activePointers.has(e.pointerId)) return;
+        this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pinchStart && this.activePointers.size === 2) {
+            const [a, b] = Array.from(this.activePointers.values());
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            this.zoomAt(this.pinchStart.zoom * distance / this.pinchStart.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+            return;
+        }
+
+        if (!this.panStart) return;
+        const dx = e.clientX - this.panStart.x;
+        const dy = e.clientY - this.panStart.y;
+        if (Math.abs(dx) + Math.abs(dy) > 3) {
+            this.panMoved = true;
         }
+        this.ui.panX = this.panStart.panX + dx;
+        this.ui.panY = this.panStart.panY + dy;
+        this.applyView();
+    }
+
+    onPanPointerUp(e) {
+        if (this.rubberBand) {
+            this.finishRubberBand();
+            return;
+        }
+        if (!this.activePointers.has(e.pointerId)) return;
+        this.activePointers.delete(e.pointerId);
+
+        if (this.activePointers.size < 2) {
+            this.pinchStart = null;
+        }
+        if (this.activePointers.size === 0) {
+            this.panStart = null;
+            this.workspaceWrapper.classList.remove('panning');
+        }
+    }
+
+    // MULTI-SELECTION
+
+    startRubberBand(e) {
+        const rect = this.workspaceWrapper.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        this.rubberBand = { startX: x, startY: y, endX: x, endY: y, additive: e.ctrlKey || e.metaKey };
+        this.panMoved = false;
+        this.workspaceWrapper.setPointerCapture(e.pointerId);
+        this.drawRubberBand();
+    }
+
+    updateRubberBand(e) {
+        const rect = this.workspaceWrapper.getBoundingClientRect();
+        this.rubberBand.endX = e.clientX - rect.left;
+        this.rubberBand.endY = e.clientY - rect.top;
+        if (Math.abs(this.rubberBand.endX - this.rubberBand.startX) + Math.abs(this.rubberBand.endY - this.rubberBand.startY) > 3) {
+            // Keep the click that ends the gesture from clearing the new selection
+            this.panMoved = true;
+        }
+        this.drawRubberBand();
+    }
+
+    drawRubberBand() {
+        const { startX, startY, endX, endY } = this.rubberBand;
+        const style = this.rubberBandElement.style;
+        style.left = Math.min(startX, endX) + 'px';
+        style.top = Math.min(startY, endY) + 'px';
+        style.width = Math.abs(endX - startX) + 'px';
+        style.height = Math.abs(endY - startY) + 'px';
+        this.rubberBandElement.hidden = false;
+    }
+
+    finishRubberBand() {
+        const { startX, startY, endX, endY, additive } = this.rubberBand;
+        this.rubberBand = null;
+        this.rubberBandElement.hidden = true;
+
+        // Convert the screen box to workspace coordinates and pick every node it touches
+        const { zoom, panX, panY } = this.ui;
+        const left = (Math.min(startX, endX) - panX) / zoom;
+        const right = (Math.max(startX, endX) - panX) / zoom;
+        const top = (Math.min(startY, endY) - panY) / zoom;
+        const bottom = (Math.max(startY, endY) - panY) / zoom;
+
+        const hits = this.getVisibleNodes()
+            .filter(n => n.x < right && n.x + n.width > left && n.y < bottom && n.y + n.height > top)
+            .map(n => n.id);
+
+        this.ui.selectNodes(additive ? [...this.ui.getSelectedNodeIds(), ...hits] : hits);
+        this.updateUI();
+        this.render();
+    }
+
+    selectSubtree() {
+        if (!this.ui.selectedNode) {
+            alert('Please select a node first.');
+            return;
+        }
+
+        const ids = this.getSubtreeNodes(this.ui.selectedNode).map(n => n.id);
+        // Keep the original node focused
+        this.ui.selectNodes([...ids.slice(1), ids[0]]);
+        this.updateUI();
+        this.render();
+    }
+
+    selectAll() {
+        this.ui.selectNodes(this.getVisibleNodes().map(n => n.id));
+        this.updateUI();
+        this.render();
+    }
+
+    // Selected nodes together with all their descendants
+    getSelectedSubtreeIds() {
+        const ids = new Set();
+        this.ui.getSelectedNodeIds().forEach(id => {
+            this.getSubtreeNodes(id).forEach(n => ids.add(n.id));
+        });
+        return Array.from(ids);
+    }
+
+    copySelection() {
+        const ids = this.getSelectedSubtreeIds();
+        if (ids.length === 0) return false;
+
+        if (!this.storage.writeClipboard(this.model.extractFragment(ids))) {
+            alert('Could not copy: browser storage is unavailable or full.');
+            return false;
+        }
+        this.pasteCount = 0;
+        return true;
+    }
+
+    cutSelection() {
+        const ids = this.getSelectedSubtreeIds();
+        if (this.rejectLockedNodes(ids)) return;
+        if (!this.copySelection()) return;
+
+        this.recordHistory();
+        ids.forEach(id => this.model.deleteNode(id));
+        this.ui.clearSelection();
+        this.updateUI();
+        this.render();
+    }
+
+    pasteClipboard() {
+        const fragment = this.storage.readClipboard();
+        if (!fragment || !Array.isArray(fragment.nodes) || fragment.nodes.length === 0) return;
+
+        // Offset each successive paste so copies don't stack exactly on top of each other
+        this.pasteCount++;
+        const offset = 40 * this.pasteCount;
+
+        this.recordHistory();
+        const created = this.model.insertFragment(fragment, offset, offset);
+        this.ui.selectNodes(created.map(n => n.id));
+        this.updateUI();
+        this.render();
     }
 
     // ADD DESCENDENT WORKFLOW
@@ -383,8 +1900,10 @@ class TreeApp {
             return;
         }
 
+        if (this.ui.movementMode) this.ui.exitMovementMode();
         this.ui.enterAddDescendentMode(this.ui.selectedNode);
-        this.addDescendentBtn.classList.add('active');
+        this.updateUI();
+        this.render();
     }
 
     connectDescendent(childId) {
@@ -396,6 +1915,8 @@ class TreeApp {
             return;
         }
 
+        this.recordHistory();
+
         // Check if child already has a parent -> re-parent
         const existingParent = this.model.getParentOf(childId);
         if (existingParent) {
@@ -405,8 +1926,12 @@ class TreeApp {
             }
         }
 
-        // Create new edge
-        this.model.createEdge(parentId, childId);
+        // Create new edge; dependency arcs are labelled as they are drawn
+        const edge = this.model.createEdge(parentId, childId);
+        if (this.model.mode === 'dependency') {
+            const relation = prompt('Relation (optional):', '');
+            if (relation && relation.trim()) edge.relation = relation.trim();
+        }
 
         // Exit mode
         this.ui.exitAddDescendentMode();
@@ -416,394 +1941,4719 @@ class TreeApp {
         this.render();
     }
 
-    // DELETE FUNCTIONALITY
-
-    onResetClick() {
-        // Remove only dynamically created custom blocks
-        const customBlocks = document.querySelectorAll('.block.user-custom');
-        customBlocks.forEach(block => block.remove());
-    }
+    // MOVEMENT ARROWS
 
-    onDeleteClick() {
-        if (this.ui.selectedNode) {
-            this.model.deleteNode(this.ui.selectedNode);
-            this.ui.clearSelection();
-        } else if (this.ui.selectedEdge) {
-            this.model.deleteEdge(this.ui.selectedEdge);
-            this.ui.clearSelection();
+    onAddMovementClick() {
+        if (this.ui.movementMode) {
+            this.ui.exitMovementMode();
+            this.updateUI();
+            this.render();
+            return;
         }
-        this.updateUI();
-        this.render();
-    }
 
-    onKeyDown(e) {
-        if (e.key === 'Delete' || e.key === 'Backspace') {
-            if (this.ui.selectedNode || this.ui.selectedEdge) {
-                this.onDeleteClick();
-            }
+        if (!this.ui.selectedNode) {
+            alert('Please select the moved-from node (the trace) first.');
+            return;
         }
+
+        if (this.ui.addDescendentMode) this.ui.exitAddDescendentMode();
+        this.ui.enterMovementMode(this.ui.selectedNode);
+        this.updateUI();
+        this.render();
     }
 
-    // AUTO-LAYOUT
+    connectMovement(targetId) {
+        const sourceId = this.ui.movementSourceId;
+        if (targetId === sourceId) return;
 
-    onAutoLayoutClick() {
-        if (this.model.nodes.length === 0) {
-            alert('No nodes to layout.');
+        const snapshot = this.model.snapshot();
+        try {
+            this.model.createMovement(sourceId, targetId);
+        } catch (error) {
+            alert(error.message);
             return;
         }
+        this.history.record(snapshot);
+        this.coindex(sourceId, targetId);
 
-        this.autoLayout();
+        this.ui.exitMovementMode();
+        this.ui.selectNode(targetId);
+        this.updateUI();
         this.render();
     }
 
-    autoLayout() {
-        const roots = this.model.getRoots();
-        if (roots.length === 0) return;
-
-        const nodePositions = {};
-        let y = 80;
-        const levelWidth = 150;
-        const verticalGap = 100;
+    // Give both ends the same subscript (t_i ... who_i), reusing one if either already has it
+    coindex(sourceId, targetId) {
+        const source = this.model.nodes.find(n => n.id === sourceId);
+        const target = this.model.nodes.find(n => n.id === targetId);
 
-        // Layout each tree
-        roots.forEach((root, rootIdx) => {
-            const xOffset = 100 + rootIdx * (this.workspace.offsetWidth / (roots.length + 1));
-            this.layoutSubtree(root, nodePositions, 0, xOffset, y);
-        });
+        let index = source.subscript || target.subscript;
+        if (!index) {
+            const used = new Set(this.model.nodes.map(n => n.subscript).filter(Boolean));
+            index = COINDEX_LETTERS.find(letter => !used.has(letter)) || `${used.size + 1}`;
+        }
 
-        // Apply positions
-        this.model.nodes.forEach(node => {
-            if (nodePositions[node.id]) {
-                const pos = nodePositions[node.id];
-                node.x = pos.x;
-                node.y = pos.y;
+        [source, target].forEach(node => {
+            if (!node.subscript) {
+                node.subscript = index;
+                this.fitNodeWidth(node);
             }
         });
-
-        this.centerNodesInWorkspace();
     }
 
-    layoutSubtree(node, positions, depth, xOffset, yOffset) {
-        const children = this.model.getChildrenOf(node.id);
-        const y = yOffset + depth * 100;
-        const childCount = children.length;
+    // DELETE FUNCTIONALITY
 
-        if (childCount === 0) {
-            // Leaf node
-            positions[node.id] = { x: xOffset, y: y };
-        } else {
-            // Non-leaf: center between children
-            const childWidth = 150;
-            const totalChildWidth = childCount * childWidth;
-            const startX = xOffset - totalChildWidth / 2;
-
-            children.forEach((child, idx) => {
-                const childX = startX + idx * childWidth;
-                this.layoutSubtree(child, positions, depth + 1, childX, yOffset);
-            });
+    onResetClick() {
+        const name = this.palettes.activeName;
+        if (!this.palettes.isBuiltIn(name)) return;
+        if (!confirm(`Restore the built-in "${name}" palette? Your changes to it will be lost.`)) return;
+
+        this.palettes.resetActive();
+        this.renderPalette();
+    }
 
-            // Center parent above children
-            positions[node.id] = { x: xOffset, y: y };
+    onDeleteClick() {
+        if (this.ui.selectedNodes.size > 0) {
+            if (this.rejectLockedNodes(this.ui.getSelectedNodeIds())) return;
+            this.recordHistory();
+            this.ui.getSelectedNodeIds().forEach(id => this.model.deleteNode(id));
+            this.ui.clearSelection();
+        } else if (this.ui.selectedEdge) {
+            this.recordHistory();
+            this.model.deleteEdge(this.ui.selectedEdge);
+            this.ui.clearSelection();
+        } else if (this.ui.selectedMovement) {
+            this.recordHistory();
+            this.model.deleteMovement(this.ui.selectedMovement);
+            this.ui.clearSelection();
         }
+        this.updateUI();
+        this.render();
     }
 
-    centerNodesInWorkspace() {
-        if (this.model.nodes.length === 0) return;
+    onKeyDown(e) {
+        const dialogs = [
+            [this.importDialog, () => this.closeImportDialog()],
+            [this.sentenceDialog, () => this.closeSentenceDialog()],
+            [this.morphologyDialog, () => this.closeMorphologyDialog()],
+            [this.compareDialog, () => this.closeCompareDialog()],
+            [this.assignmentDialog, () => this.closeAssignmentDialog()]
+        ];
+        const openDialog = dialogs.find(([dialog]) => !dialog.hidden);
+        if (e.key === 'Escape' && openDialog) {
+            openDialog[1]();
+            return;
+        }
 
-        const minX = Math.min(...this.model.nodes.map(n => n.x));
-        const minY = Math.min(...this.model.nodes.map(n => n.y));
-        const maxX = Math.max(...this.model.nodes.map(n => n.x + n.width));
-        const maxY = Math.max(...this.model.nodes.map(n => n.y + n.height));
+        // Leave typing in text fields and activating focused buttons alone
+        if (isTextEntryTarget(e.target)) return;
+        if (e.target.tagName === 'BUTTON' && (e.key === 'Enter' || e.key === ' ')) return;
+        if (openDialog) return;
 
-        const contentWidth = maxX - minX;
-        const contentHeight = maxY - minY;
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return;
+        }
 
-        const viewWidth = this.workspace.parentElement.clientWidth || this.workspace.clientWidth;
-        const viewHeight = this.workspace.parentElement.clientHeight || this.workspace.clientHeight;
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') {
+            e.preventDefault();
+            this.redo();
+            return;
+        }
 
-        const targetMinX = Math.max(0, (viewWidth - contentWidth) / 2);
-        const targetMinY = Math.max(0, (viewHeight - contentHeight) / 2);
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey) {
+            const action = { a: () => this.selectAll(), c: () => this.copySelection(), x: () => this.cutSelection(), v: () => this.pasteClipboard() }[e.key.toLowerCase()];
+            if (action) {
+                e.preventDefault();
+                action();
+                return;
+            }
+        }
 
-        const shiftX = targetMinX - minX;
-        const shiftY = targetMinY - minY;
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            if (this.ui.selectedNodes.size > 0 || this.ui.selectedEdge || this.ui.selectedMovement) {
+                this.onDeleteClick();
+            }
+            return;
+        }
 
-        this.model.nodes.forEach(node => {
-            node.x += shiftX;
-            node.y += shiftY;
-        });
+        this.handleEditingKey(e);
     }
 
-    // CLEAR
-    onClearClick() {
-        if (this.model.nodes.length === 0) return;
+    // KEYBOARD EDITING
 
-        if (confirm('Clear all nodes and edges? This cannot be undone.')) {
-            this.model.clear();
-            this.ui.clearSelection();
-            this.updateUI();
-            this.render();
-        }
-    }
+    handleEditingKey(e) {
+        const selected = this.ui.selectedNode;
 
-    // EXPORT / IMPORT
-    onExportClick() {
-        const roots = this.model.getRoots();
-        if (roots.length === 0) {
-            alert('No nodes to export.');
+        if (e.key === '?') {
+            this.toggleShortcuts();
             return;
         }
 
-        try {
-            let notation = '';
-            if (roots.length === 1) {
-                notation = this.nodeToBracketNotation(roots[0]);
+        if (e.key === 'Escape') {
+            if (!this.shortcutsDialog.hidden) {
+                this.toggleShortcuts(false);
+            } else if (this.ui.addDescendentMode) {
+                this.onAddDescendentClick();
+            } else if (this.ui.movementMode) {
+                this.onAddMovementClick();
             } else {
-                // Multiple roots: wrap in ROOT
-                const rootNotations = roots
-                    .sort((a, b) => a.x - b.x)
-                    .map(root => this.nodeToBracketNotation(root))
-                    .join(' ');
-                notation = `[ROOT ${rootNotations}]`;
+                this.ui.clearSelection();
+                this.render();
             }
-
-            // Copy to clipboard and show in alert
-            const textarea = document.createElement('textarea');
-            textarea.value = notation;
-            document.body.appendChild(textarea);
-            textarea.select();
-            document.execCommand('copy');
-            document.body.removeChild(textarea);
-
-            alert(`Exported to clipboard:\n\n${notation}`);
-        } catch (error) {
-            alert(`Export failed: ${error.message}`);
+            return;
         }
-    }
 
-    nodeToBracketNotation(node) {
-        if (node.type === 'WORD') {
-            return node.label;
-        }
+        if (e.ctrlKey || e.metaKey) return;
 
-        const children = this.model.getChildrenOf(node.id).sort((a, b) => a.x - b.x);
-        const childNotations = children.map(child => this.nodeToBracketNotation(child)).filter(Boolean);
-        const inside = childNotations.join(' ');
-        return inside ? `[${node.label} ${inside}]` : `[${node.label}]`;
-    }
+        if (e.key.startsWith('Arrow')) {
+            e.preventDefault();
+            if (e.altKey && selected && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+                this.moveAmongSiblings(selected, e.key === 'ArrowLeft' ? -1 : 1);
+            } else if (!e.altKey) {
+                this.navigate(e.key);
+            }
+            return;
+        }
 
-    onImportClick() {
-        const notation = prompt('Paste bracket notation to import:', '');
-        if (!notation) return;
+        if (e.altKey) return;
 
-        try {
-            const parser = new BracketNotationParser();
-            const rootStructure = parser.parse(notation.trim());
+        if (e.key.toLowerCase() === 'a' && !e.shiftKey) {
+            this.onAddDescendentClick();
+            return;
+        }
 
-            // Clear existing tree
-            this.model.clear();
-            this.ui.clearSelection();
+        if (e.key.toLowerCase() === 'c' && !e.shiftKey && selected) {
+            this.toggleCollapse(selected);
+            return;
+        }
 
-            // Build tree from structure
-            this.buildTreeFromStructure(rootStructure, null, 0);
+        if (e.key.toLowerCase() === 't' && !e.shiftKey && selected) {
+            this.toggleRoof(selected);
+            return;
+        }
 
-            // Auto-layout
-            this.autoLayout();
+        if (e.key.toLowerCase() === 'm' && !e.shiftKey) {
+            this.onAddMovementClick();
+            return;
+        }
 
-            this.updateUI();
-            this.render();
-            alert('Import successful!');
-        } catch (error) {
-            alert(`Import failed: ${error.message}`);
+        if (e.key.toLowerCase() === 's' && !e.shiftKey && selected) {
+            this.selectSubtree();
+            return;
         }
-    }
 
-    buildTreeFromStructure(structure, parentId, depth) {
-        const node = this.model.createNode(structure.label, 100 + depth * 50, 50 + depth * 100, 'CAT');
+        if (!selected) return;
 
-        if (parentId) {
-            this.model.createEdge(parentId, node.id);
+        if (e.key === 'Enter' && this.ui.addDescendentMode) {
+            e.preventDefault();
+            if (selected !== this.ui.addDescendentParentId) {
+                this.connectDescendent(selected);
+            }
+            return;
         }
 
-        if (structure.children && structure.children.length > 0) {
-            structure.children.forEach(child => {
-                this.buildTreeFromStructure(child, node.id, depth + 1);
-            });
+        if (e.key === 'Enter' && this.ui.movementMode) {
+            e.preventDefault();
+            this.connectMovement(selected);
+            return;
         }
 
-        if (structure.leafText && structure.leafText.length > 0) {
-            const wordLabel = structure.leafText.join(' ');
-            const wordNode = this.model.createNode(wordLabel, 100 + (depth + 1) * 50, 50 + (depth + 1) * 100, 'WORD');
-            this.model.createEdge(node.id, wordNode.id);
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            this.addChildNode(selected, e.shiftKey ? 'WORD' : 'CAT');
+        } else if (e.key === 'Enter' && e.shiftKey) {
+            e.preventDefault();
+            this.addSiblingNode(selected);
+        } else if (e.key === 'Enter' || e.key === 'F2') {
+            e.preventDefault();
+            this.startInlineEdit(selected);
         }
+    }
 
-        return node;
+    // Draw a triangle over the node's children instead of separate branches
+    toggleRoof(nodeId) {
+        const node = this.model.nodes.find(n => n.id === nodeId);
+        if (!node || node.type === 'WORD') return;
+
+        this.recordHistory();
+        if (node.roof) {
+            delete node.roof;
+        } else {
+            node.roof = true;
+        }
+        this.render();
     }
 
-    // RENDERING
+    // Arrow keys: up to parent, down to first child, left/right to siblings
+    navigate(key) {
+        const roots = this.getOrderedRoots();
+        if (roots.length === 0) return;
 
-    updateUI() {
-        // Update button active states
-        if (this.ui.addDescendentMode) {
-            this.addDescendentBtn.classList.add('active');
+        const current = this.model.nodes.find(n => n.id === this.ui.selectedNode);
+        let target = null;
+
+        if (!current) {
+            target = roots[0];
+        } else if (key === 'ArrowUp') {
+            target = this.model.getParentOf(current.id);
+        } else if (key === 'ArrowDown') {
+            target = current.collapsed ? null : this.model.getChildrenOf(current.id)[0];
         } else {
-            this.addDescendentBtn.classList.remove('active');
+            const siblings = this.getSiblings(current.id);
+            const index = siblings.findIndex(n => n.id === current.id);
+            target = siblings[index + (key === 'ArrowLeft' ? -1 : 1)];
         }
+
+        if (!target) return;
+        this.ui.selectNode(target.id);
+        this.ensureNodeVisible(target);
+        this.updateUI();
+        this.render();
     }
 
-    render() {
-        // Clear workspace and SVG
-        this.workspace.innerHTML = '';
-        this.svg.innerHTML = '';
+    getSiblings(nodeId) {
+        const parent = this.model.getParentOf(nodeId);
+        return parent ? this.model.getChildrenOf(parent.id) : this.getOrderedRoots();
+    }
 
-        // Draw edges first
-        this.model.edges.forEach(edge => {
-            this.drawEdge(edge);
-        });
+    getSubtreeNodes(nodeId) {
+        const node = this.model.nodes.find(n => n.id === nodeId);
+        if (!node) return [];
+        return [node, ...this.model.getChildrenOf(nodeId).flatMap(child => this.getSubtreeNodes(child.id))];
+    }
 
-        // Draw nodes
-        this.model.nodes.forEach(node => {
-            this.drawNode(node);
-        });
+    addChildNode(parentId, type) {
+        const parent = this.model.nodes.find(n => n.id === parentId);
+        const children = this.model.getChildrenOf(parentId);
+        const last = children[children.length - 1];
+        const x = last ? last.x + last.width + 20 : parent.x;
+
+        this.recordHistory();
+        // New children should be visible
+        if (parent.collapsed) this.expandNode(parent);
+        const node = this.model.createNode(type === 'WORD' ? 'word' : 'XP', x, parent.y + 100, type);
+        this.model.createEdge(parentId, node.id);
+        this.ui.selectNode(node.id);
+        this.startInlineEdit(node.id, true);
     }
 
-    drawNode(node) {
-        const div = document.createElement('div');
-        div.className = 'node';
-        div.dataset.nodeId = node.id;
-        div.textContent = node.label;
-        div.style.left = node.x + 'px';
-        div.style.top = node.y + 'px';
-        div.style.width = node.width + 'px';
-        div.style.minHeight = node.height + 'px';
+    addSiblingNode(nodeId) {
+        const current = this.model.nodes.find(n => n.id === nodeId);
+        const parent = this.model.getParentOf(nodeId);
+        const siblings = this.getSiblings(nodeId);
+        const index = siblings.findIndex(n => n.id === nodeId);
+        const x = current.x + current.width + 20;
 
-        if (node.type === 'WORD') {
-            div.classList.add('word');
-        }
+        this.recordHistory();
 
-        if (this.ui.selectedNode === node.id) {
-            div.classList.add('selected');
-        }
+        // Make room by shifting later siblings and their subtrees to the right
+        siblings.slice(index + 1).forEach(sibling => {
+            this.getSubtreeNodes(sibling.id).forEach(n => {
+                n.x += MIN_NODE_WIDTH + 20;
+            });
+        });
 
-        if (this.ui.addDescendentMode && this.ui.addDescendentParentId === node.id) {
-            div.classList.add('add-descendent-parent');
+        const node = this.model.createNode(current.type === 'WORD' ? 'word' : 'XP', x, current.y, current.type);
+        if (parent) {
+            this.model.createEdge(parent.id, node.id, index + 1);
         }
-
-        div.draggable = true;
-        this.workspace.appendChild(div);
+        this.ui.selectNode(node.id);
+        this.startInlineEdit(node.id, true);
     }
 
-    drawEdge(edge) {
-        const parentNode = this.model.nodes.find(n => n.id === edge.parentId);
-        const childNode = this.model.nodes.find(n => n.id === edge.childId);
+    // Swap a node's subtree with its left or right neighbour's subtree
+    moveAmongSiblings(nodeId, direction) {
+        const siblings = this.getSiblings(nodeId);
+        const index = siblings.findIndex(n => n.id === nodeId);
+        const neighbour = siblings[index + direction];
+        if (!neighbour) return;
+
+        const [left, right] = direction < 0 ? [neighbour, siblings[index]] : [siblings[index], neighbour];
+        const leftNodes = this.getSubtreeNodes(left.id);
+        const rightNodes = this.getSubtreeNodes(right.id);
+        const leftMin = Math.min(...leftNodes.map(n => n.x));
+        const leftMax = Math.max(...leftNodes.map(n => n.x + n.width));
+        const rightMin = Math.min(...rightNodes.map(n => n.x));
+        const rightMax = Math.max(...rightNodes.map(n => n.x + n.width));
+
+        this.recordHistory();
+        if (this.model.getParentOf(nodeId)) {
+            if (direction < 0) {
+                this.model.moveChildBefore(nodeId, neighbour.id);
+            } else {
+                this.model.moveChildAfter(nodeId, neighbour.id);
+            }
+        }
+        rightNodes.forEach(n => {
+            n.x += leftMin - rightMin;
+        });
+        leftNodes.forEach(n => {
+            n.x += rightMax - leftMax;
+        });
+        this.render();
+    }
 
-        if (!parentNode || !childNode) return;
+    ensureNodeVisible(node) {
+        const margin = 40;
+        const { zoom } = this.ui;
+        const viewWidth = this.workspaceWrapper.clientWidth;
+        const viewHeight = this.workspaceWrapper.clientHeight;
+        if (!viewWidth || !viewHeight) return;
 
-        // Calculate connection points (center bottom of parent to center top of child)
-        const x1 = parentNode.x + parentNode.width / 2;
-        const y1 = parentNode.y + parentNode.height;
-        const x2 = childNode.x + childNode.width / 2;
-        const y2 = childNode.y;
+        const left = node.x * zoom + this.ui.panX;
+        const top = node.y * zoom + this.ui.panY;
+        const right = left + node.width * zoom;
+        const bottom = top + node.height * zoom;
 
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.setAttribute('x1', x1);
-        line.setAttribute('y1', y1);
-        line.setAttribute('x2', x2);
-        line.setAttribute('y2', y2);
-        line.setAttribute('data-edge-id', edge.id);
+        if (left < margin) this.ui.panX += margin - left;
+        else if (right > viewWidth - margin) this.ui.panX -= right - (viewWidth - margin);
+        if (top < margin) this.ui.panY += margin - top;
+        else if (bottom > viewHeight - margin) this.ui.panY -= bottom - (viewHeight - margin);
 
-        if (this.ui.selectedEdge === edge.id) {
-            line.classList.add('selected');
-        }
+        this.applyView();
+    }
 
-        this.svg.appendChild(line);
+    toggleShortcuts(show = this.shortcutsDialog.hidden) {
+        this.shortcutsDialog.hidden = !show;
     }
-}
 
-// BRACKET NOTATION PARSER
+    // INLINE LABEL EDITING
 
-class BracketNotationParser {
-    parse(notation) {
-        const tokens = this.tokenize(notation);
-        const [structure, remaining] = this.parseExpression(tokens, 0);
+    startInlineEdit(nodeId, isNew = false) {
+        if (this.rejectLockedNodes([nodeId])) return;
+        this.inlineEdit = { nodeId, isNew };
+        this.render();
 
-        if (remaining.length > 0) {
-            throw new Error('Unexpected tokens after root expression.');
-        }
+        const editor = this.getInlineEditor();
+        if (!editor) return;
+        editor.focus();
+        const range = document.createRange();
+        range.selectNodeContents(editor);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
 
-        return structure;
+    getInlineEditor() {
+        return this.workspace.querySelector('.node.editing');
     }
 
-    tokenize(notation) {
-        const tokens = [];
-        let i = 0;
+    onInlineEditKeyDown(e) {
+        // Typing keys belong to the editor, not to the workspace shortcuts
+        e.stopPropagation();
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.finishInlineEdit(true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.finishInlineEdit(false);
+        } else if (e.key === 'Tab') {
+            // Commit, then keep building: Tab adds a child, Shift+Tab a word child
+            e.preventDefault();
+            const nodeId = this.inlineEdit.nodeId;
+            this.finishInlineEdit(true);
+            if (this.model.nodes.some(n => n.id === nodeId)) {
+                this.addChildNode(nodeId, e.shiftKey ? 'WORD' : 'CAT');
+            }
+        }
+    }
 
-        while (i < notation.length) {
-            const char = notation[i];
+    finishInlineEdit(commit) {
+        if (!this.inlineEdit) return;
+        this.applyInlineEdit(commit);
+        this.updateUI();
+        this.render();
+    }
 
-            if (char === '[' || char === ']') {
-                tokens.push(char);
-                i++;
-            } else if (/\s/.test(char)) {
-                i++;
+    // Apply the editor's text to the model without re-rendering
+    applyInlineEdit(commit) {
+        const { nodeId, isNew } = this.inlineEdit;
+        const editor = this.getInlineEditor();
+        const text = editor ? editor.textContent.trim() : '';
+        const node = this.model.nodes.find(n => n.id === nodeId);
+        this.inlineEdit = null;
+        if (!node) return;
+
+        if (commit && text) {
+            if (text !== node.label) {
+                // New nodes were recorded in history when they were created
+                if (!isNew) this.recordHistory();
+                node.label = text;
+                this.fitNodeWidth(node);
+            }
+        } else if (isNew) {
+            // Abandoning a new node puts everything back as it was, siblings shifted to make room included
+            const parent = this.model.getParentOf(nodeId);
+            const snapshot = this.history.discardLast();
+            if (snapshot) {
+                this.model.restore(snapshot);
             } else {
-                // Read a token until whitespace or bracket
-                let token = '';
-                while (i < notation.length && !/[\s\[\]]/.test(notation[i])) {
-                    token += notation[i];
-                    i++;
-                }
-                if (token) tokens.push(token);
+                this.model.deleteNode(nodeId);
+            }
+            if (parent) {
+                this.ui.selectNode(parent.id);
+            } else {
+                this.ui.clearSelection();
             }
         }
-
-        return tokens;
     }
 
-    parseExpression(tokens, pos) {
-        if (pos >= tokens.length || tokens[pos] !== '[') {
-            throw new Error(`Expected '[' at position ${pos}.`);
-        }
+    // COLLAPSE / EXPAND
 
-        pos++; // skip '['
+    // Descendants of collapsed nodes are kept in the model but not drawn
+    getHiddenNodeIds() {
+        const hidden = new Set();
+        this.model.nodes.filter(n => n.collapsed).forEach(node => {
+            this.getSubtreeNodes(node.id).slice(1).forEach(n => hidden.add(n.id));
+        });
+        return hidden;
+    }
 
-        if (pos >= tokens.length) {
-            throw new Error('Unexpected end of input: expected label.');
-        }
+    getVisibleNodes() {
+        const hidden = this.getHiddenNodeIds();
+        return this.model.nodes.filter(n => !hidden.has(n.id));
+    }
 
-        const label = tokens[pos];
-        pos++;
+    onCollapseClick() {
+        if (!this.ui.selectedNode) {
+            alert('Please select a node first.');
+            return;
+        }
+        this.toggleCollapse(this.ui.selectedNode);
+    }
+
+    toggleCollapse(nodeId) {
+        const node = this.model.nodes.find(n => n.id === nodeId);
+        if (!node || (!node.collapsed && this.model.getChildrenOf(nodeId).length === 0)) return;
+
+        this.recordHistory();
+        if (node.collapsed) {
+            this.expandNode(node);
+        } else {
+            node.collapsed = true;
+            // Hidden nodes can't stay selected
+            const hidden = this.getHiddenNodeIds();
+            if (this.ui.getSelectedNodeIds().some(id => hidden.has(id))) {
+                this.ui.selectNode(nodeId);
+            }
+        }
+        this.updateUI();
+        this.render();
+    }
+
+    expandNode(node) {
+        delete node.collapsed;
+    }
+
+    // Expand every collapsed ancestor so the node is drawn
+    revealNode(nodeId) {
+        let parent = this.model.getParentOf(nodeId);
+        while (parent) {
+            if (parent.collapsed) this.expandNode(parent);
+            parent = this.model.getParentOf(parent.id);
+        }
+    }
+
+    // AUTO-LAYOUT
+
+    onAutoLayoutClick() {
+        if (this.model.nodes.length === 0) {
+            alert('No nodes to layout.');
+            return;
+        }
+
+        this.recordHistory();
+        this.autoLayout();
+        this.render();
+    }
+
+    autoLayout() {
+        if (this.model.mode === 'dependency') {
+            this.layoutDependencies();
+            return;
+        }
+
+        const roots = this.getOrderedRoots();
+        if (roots.length === 0) return;
+
+        this.applyPositions(this.computeForestLayout(roots));
+        this.centerNodesInWorkspace();
+    }
+
+    // Words stay in their left-to-right order on one line, with room above for the arcs
+    layoutDependencies() {
+        const words = this.model.nodes.slice().sort((a, b) => a.x - b.x);
+        if (words.length === 0) return;
+
+        let x = 0;
+        words.forEach(word => {
+            this.fitNodeWidth(word);
+            word.x = x;
+            word.y = 0;
+            x += word.width + DEPENDENCY_WORD_GAP;
+        });
+        this.centerNodesInWorkspace();
+
+        const arcTops = this.model.edges.map(edge => {
+            const head = this.model.nodes.find(n => n.id === edge.parentId);
+            const dependent = this.model.nodes.find(n => n.id === edge.childId);
+            return getDependencyArc(head, dependent).top;
+        });
+        const shift = DEPENDENCY_WORD_GAP - Math.min(words[0].y, ...arcTops);
+        if (shift > 0) words.forEach(word => { word.y += shift; });
+    }
+
+    // DEPENDENCY MODE
+
+    onTreeModeChange() {
+        const mode = this.treeModeSelect.value;
+        if (mode === this.model.mode) return;
+
+        if (mode === 'dependency' && this.model.nodes.some(n => n.type === 'CAT')) {
+            if (this.rejectReplaceInTask('Converting to dependencies')) {
+                this.treeModeSelect.value = this.model.mode;
+                return;
+            }
+            if (!confirm('Convert this tree to dependencies? Head rules pick the head of each phrase, and the category nodes are replaced by labelled arcs between the words.')) {
+                this.treeModeSelect.value = this.model.mode;
+                return;
+            }
+            this.convertToDependencies();
+            return;
+        }
+
+        // Words already linked head to dependent show as a stemma in constituency mode
+        this.recordHistory();
+        this.model.mode = mode;
+        this.autoLayout();
+        this.updateUI();
+        this.render();
+    }
+
+    convertToDependencies() {
+        const { words, arcs } = new DependencyConverter(this.model).convert(this.getOrderedRoots());
+
+        this.recordHistory();
+        this.ui.clearSelection();
+        const copies = new Map();
+        const { nodes } = this.model.snapshot();
+        this.model.clear();
+        this.model.mode = 'dependency';
+
+        words.forEach((word, i) => {
+            const { id, x, y, width, height, label, type, ...props } = nodes.find(n => n.id === word.id);
+            copies.set(word.id, this.model.createNode(label, i * 100, 0, 'WORD', props));
+        });
+        arcs.slice()
+            .sort((a, b) => words.indexOf(a.dependent) - words.indexOf(b.dependent))
+            .forEach(arc => {
+                this.model.createEdge(copies.get(arc.head.id).id, copies.get(arc.dependent.id).id, undefined, { relation: arc.relation });
+            });
+
+        this.autoLayout();
+        this.updateUI();
+        this.render();
+    }
+
+    // Collapsed nodes are laid out as leaves
+    computeForestLayout(roots, model = this.model) {
+        const getChildren = node => node.collapsed ? [] : model.getChildrenOf(node.id);
+
+        // Size boxes to their labels before packing
+        const fit = node => {
+            this.fitNodeWidth(node);
+            getChildren(node).forEach(fit);
+        };
+        roots.forEach(fit);
+
+        const layout = new TidyTreeLayout(getChildren, { alignLeaves: this.alignLeavesToggle.checked });
+        return layout.layoutForest(roots, 100, 80);
+    }
+
+    fitNodeWidth(node) {
+        node.width = Math.max(MIN_NODE_WIDTH, Math.ceil(measureLabelWidth(getNodeDisplayText(node)) + NODE_HORIZONTAL_PADDING));
+    }
+
+    applyPositions(nodePositions) {
+        this.model.nodes.forEach(node => {
+            if (nodePositions[node.id]) {
+                const pos = nodePositions[node.id];
+                // Hidden descendants keep their place relative to the collapsed node
+                if (node.collapsed) {
+                    const dx = pos.x - node.x;
+                    const dy = pos.y - node.y;
+                    this.getSubtreeNodes(node.id).slice(1).forEach(n => {
+                        n.x += dx;
+                        n.y += dy;
+                    });
+                }
+                node.x = pos.x;
+                node.y = pos.y;
+            }
+        });
+    }
+
+    centerNodesInWorkspace() {
+        if (this.model.nodes.length === 0) return;
+
+        const nodes = this.getVisibleNodes();
+        const minX = Math.min(...nodes.map(n => n.x));
+        const minY = Math.min(...nodes.map(n => n.y));
+        const maxX = Math.max(...nodes.map(n => n.x + n.width));
+        const maxY = Math.max(...nodes.map(n => n.y + n.height));
+
+        const contentWidth = maxX - minX;
+        const contentHeight = maxY - minY;
+
+        const viewWidth = this.workspaceWrapper.clientWidth || this.workspace.clientWidth;
+        const viewHeight = this.workspaceWrapper.clientHeight || this.workspace.clientHeight;
+
+        const targetMinX = Math.max(0, (viewWidth - contentWidth) / 2);
+        const targetMinY = Math.max(0, (viewHeight - contentHeight) / 2);
+
+        const shiftX = targetMinX - minX;
+        const shiftY = targetMinY - minY;
+
+        this.model.nodes.forEach(node => {
+            node.x += shiftX;
+            node.y += shiftY;
+        });
+    }
+
+    // CLEAR
+    onClearClick() {
+        if (this.model.nodes.length === 0) return;
+
+        if (this.assignment) {
+            if (!confirm('Clear everything except the nodes the task gives?')) return;
+            this.recordHistory();
+            this.model.nodes.filter(n => !n.locked).forEach(n => this.model.deleteNode(n.id));
+            this.ui.clearSelection();
+            this.updateUI();
+            this.render();
+            return;
+        }
+
+        if (confirm('Clear all nodes and edges?')) {
+            this.recordHistory();
+            this.model.clear();
+            this.ui.clearSelection();
+            this.updateUI();
+            this.render();
+        }
+    }
+
+    // EXPORT / IMPORT
+    onExportClick() {
+        const roots = this.model.getRoots();
+        if (roots.length === 0) {
+            alert('No nodes to export.');
+            return;
+        }
+        if (this.model.mode === 'dependency') {
+            alert('Bracket notation describes constituency trees. Use Export Treebank to copy a dependency tree as CoNLL-U.');
+            return;
+        }
+
+        try {
+            let notation = '';
+            if (roots.length === 1) {
+                // A tree labelled ROOT is quoted so import does not take it for the wrapper below
+                notation = this.nodeToBracketNotation(roots[0]).replace(/^\[ROOT(?=[\s\]])/, '["ROOT"');
+            } else {
+                // Multiple roots: wrap in ROOT. A word root is written as one token so it reads back on its own
+                const rootNotations = this.getOrderedRoots()
+                    .map(root => root.type === 'WORD' && !MORPHEME_MARKS[root.morph] && this.model.getChildrenOf(root.id).length === 0
+                        ? quoteBracketLabel(root.label + formatLabelFields(root))
+                        : this.nodeToBracketNotation(root))
+                    .join(' ');
+                notation = `[ROOT ${rootNotations}]`;
+            }
+
+            this.copyToClipboard(notation);
+            // Bracket notation has no place for glosses
+            const note = this.model.nodes.some(n => n.gloss) ? '\n\nGlosses are not written to bracket notation; save the tree as a file to keep them.' : '';
+            alert(`Exported to clipboard:\n\n${notation}${note}`);
+        } catch (error) {
+            alert(`Export failed: ${error.message}`);
+        }
+    }
+
+    onExportLaTeXClick() {
+        const roots = this.getOrderedRoots();
+        if (roots.length === 0) {
+            alert('No nodes to export.');
+            return;
+        }
+        if (this.model.mode === 'dependency') {
+            alert('LaTeX export describes constituency trees. Use Export SVG or Export Treebank for a dependency tree.');
+            return;
+        }
+
+        const input = prompt('LaTeX package (qtree, tikz-qtree or forest):', 'forest');
+        if (input === null) return;
+
+        const format = input.trim().toLowerCase();
+        let latex;
+        if (format === 'qtree' || format === 'tikz-qtree') {
+            // Each root becomes its own \Tree, set side by side
+            latex = roots.map(root => `\\Tree ${this.nodeToQtree(root, format)}`).join('\n\\qquad\n');
+        } else if (format === 'forest') {
+            // Several roots hang from an invisible phantom root
+            const body = roots.length === 1
+                ? this.nodeToForest(roots[0], 0)
+                : `[, phantom\n${roots.map(root => this.nodeToForest(root, 1)).join('\n')}\n]`;
+            latex = `\\begin{forest}\n${body}\n\\end{forest}`;
+        } else {
+            alert(`Unknown LaTeX package "${input}". Choose qtree, tikz-qtree or forest.`);
+            return;
+        }
+
+        this.copyToClipboard(latex);
+        alert(`Exported to clipboard:\n\n${latex}`);
+    }
+
+    copyToClipboard(text) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textarea);
+    }
+
+    // Separate trees have no parent edge to order them, so roots go left to right as drawn
+    getOrderedRoots() {
+        return this.model.getRoots().sort((a, b) => a.x - b.x);
+    }
+
+    nodeToQtree(node, format = 'qtree') {
+        const label = labelPartsToLaTeX(getNodeLabelParts(node));
+        const braced = /\s/.test(label) ? `{${label}}` : label;
+        if (node.type === 'WORD') {
+            return braced;
+        }
+
+        // A roofed phrase is one triangle over its words: \qroof{words}.NP in qtree,
+        // a single \edge[roof]; branch in tikz-qtree
+        if (node.roof && this.model.getChildrenOf(node.id).length > 0) {
+            const words = this.getRoofText(node);
+            return format === 'qtree' ? `\\qroof{${words}}.${braced}` : `[.${braced} \\edge[roof]; {${words}} ]`;
+        }
+        const children = this.model.getChildrenOf(node.id).map(child => this.nodeToQtree(child, format));
+        return `[.${braced} ${children.map(c => `${c} `).join('')}]`;
+    }
+
+    // The words under a roof, as LaTeX
+    getRoofText(node) {
+        return this.getLeaves(node).map(leaf => labelPartsToLaTeX(getNodeLabelParts(leaf))).join(' ');
+    }
+
+    // Childless descendants in left-to-right order
+    getLeaves(node) {
+        const children = this.model.getChildrenOf(node.id);
+        return children.length === 0 ? [node] : children.flatMap(child => this.getLeaves(child));
+    }
+
+    nodeToForest(node, depth) {
+        const indent = '  '.repeat(depth);
+        // Commas and equals signs would be read as forest options
+        const brace = text => /[,=]/.test(text) ? `{${text}}` : text;
+        const label = brace(labelPartsToLaTeX(getNodeLabelParts(node)));
+        const children = node.type === 'WORD' ? [] : this.model.getChildrenOf(node.id);
+
+        if (children.length === 0) {
+            return `${indent}[${label}]`;
+        }
+
+        // A roofed phrase has a single child holding its words; forest draws the triangle above it
+        if (node.roof) {
+            return `${indent}[${label}\n${indent}  [${brace(this.getRoofText(node))}, roof]\n${indent}]`;
+        }
+
+        const inner = children.map(child => this.nodeToForest(child, depth + 1)).join('\n');
+        return `${indent}[${label}\n${inner}\n${indent}]`;
+    }
+
+    nodeToBracketNotation(node) {
+        // A word with dependents (a stemma drawn from a dependency tree) is bracketed like a phrase
+        if (node.type === 'WORD' && this.model.getChildrenOf(node.id).length === 0) {
+            if (MORPHEME_MARKS[node.morph]) return formatMorpheme(node.label, node.morph);
+            // Words keep their spaces; import joins leaf tokens back together
+            return quoteBracketLabel(node.label + formatLabelFields(node), true);
+        }
+
+        const label = quoteBracketLabel((node.functionTags ? `${node.label}-${node.functionTags}` : node.label) + formatLabelFields(node));
+        const children = this.model.getChildrenOf(node.id);
+        const childNotations = children.map(child => this.nodeToBracketNotation(child)).filter(Boolean);
+        let inside = childNotations.join(' ');
+        // Roofs use the syntree convention: a caret before the contents
+        if (node.roof && inside) {
+            inside = inside.startsWith('[') ? `^ ${inside}` : `^${inside}`;
+        }
+        return inside ? `[${label} ${inside}]` : `[${label}]`;
+    }
+
+    onExportTreebankClick() {
+        const roots = this.getOrderedRoots();
+        if (roots.length === 0) {
+            alert('No nodes to export.');
+            return;
+        }
+
+        if (this.model.mode === 'dependency') {
+            const conllu = this.toConllu();
+            this.copyToClipboard(conllu);
+            alert(`Exported to clipboard:\n\n${conllu}`);
+            return;
+        }
+
+        const indices = this.getTreebankIndices();
+        const treebank = roots.map(root => `( ${this.nodeToTreebank(root, indices)} )`).join('\n');
+        this.copyToClipboard(treebank);
+        alert(`Exported to clipboard:\n\n${treebank}`);
+    }
+
+    // One CoNLL-U token line per word, in left-to-right order
+    toConllu() {
+        const words = this.model.nodes.slice().sort((a, b) => a.x - b.x);
+        const ids = new Map(words.map((word, i) => [word.id, i + 1]));
+        const lines = words.map(word => {
+            const edge = this.model.edges.find(e => e.childId === word.id);
+            const head = edge ? ids.get(edge.parentId) : 0;
+            const relation = edge ? edge.relation || 'dep' : 'root';
+            return [ids.get(word.id), word.label, '_', '_', '_', '_', head, relation, '_', '_'].join('\t');
+        });
+        return `# text = ${words.map(word => word.label).join(' ')}\n${lines.join('\n')}\n`;
+    }
+
+    // Treebank indices are numbers; letter subscripts from movement arrows get the next free ones
+    getTreebankIndices() {
+        const subscripts = Array.from(new Set(this.model.nodes.map(n => n.subscript).filter(Boolean)));
+        const numeric = subscripts.filter(s => /^\d+$/.test(s));
+        const indices = new Map(numeric.map(s => [s, s]));
+        let next = Math.max(0, ...numeric.map(Number)) + 1;
+        subscripts.filter(s => !indices.has(s)).forEach(s => indices.set(s, String(next++)));
+        return indices;
+    }
+
+    nodeToTreebank(node, indices) {
+        const index = node.subscript ? `-${indices.get(node.subscript)}` : '';
+        if (node.type === 'WORD') {
+            return node.label.split(/\s+/).filter(Boolean).map(escapeTreebankToken).join(' ') + index;
+        }
+
+        const tags = node.functionTags ? `-${node.functionTags}` : '';
+        const label = `${escapeTreebankToken(node.label.replace(/\s+/g, '_'))}${tags}${index}`;
+        const children = this.model.getChildrenOf(node.id).map(child => this.nodeToTreebank(child, indices));
+        return children.length > 0 ? `(${label} ${children.join(' ')})` : `(${label})`;
+    }
+
+    onExportSVGClick() {
+        if (this.model.nodes.length === 0) {
+            alert('No nodes to export.');
+            return;
+        }
+
+        const svg = new TreeImageExporter(this.getExportModel()).toSVG();
+        this.downloadFile('tree.svg', svg, 'image/svg+xml');
+    }
+
+    onExportPNGClick() {
+        if (this.model.nodes.length === 0) {
+            alert('No nodes to export.');
+            return;
+        }
+
+        const input = prompt('PNG scale factor (1-8, e.g. 3 for print):', '2');
+        if (input === null) return;
+
+        const scale = parseFloat(input);
+        if (!Number.isFinite(scale) || scale < 1 || scale > 8) {
+            alert('Scale factor must be a number between 1 and 8.');
+            return;
+        }
+
+        new TreeImageExporter(this.getExportModel()).toPNG(scale)
+            .then(blob => this.downloadFile('tree.png', blob, 'image/png'))
+            .catch(error => alert(`Export failed: ${error.message}`));
+    }
+
+    // Images show the full tree: with anything collapsed, lay out an expanded copy.
+    // "Images as drawn" keeps the positions instead and leaves out what collapsed nodes hide
+    getExportModel() {
+        const hidden = this.getHiddenNodeIds();
+        if (hidden.size === 0) return this.model;
+
+        const copy = new TreeModel();
+        copy.restore(this.model.snapshot());
+        if (this.imageAsDrawnToggle.checked) {
+            copy.nodes = copy.nodes.filter(n => !hidden.has(n.id));
+            copy.edges = copy.edges.filter(e => !hidden.has(e.childId));
+            copy.movements = copy.movements.filter(m => !hidden.has(m.fromId) && !hidden.has(m.toId));
+            return copy;
+        }
+
+        copy.nodes.forEach(n => delete n.collapsed);
+        const positions = this.computeForestLayout(copy.getRoots().sort((a, b) => a.x - b.x), copy);
+        copy.nodes.forEach(node => Object.assign(node, positions[node.id]));
+        return copy;
+    }
+
+    onImportClick() {
+        this.hideImportError();
+        this.importDialog.hidden = false;
+        this.importText.focus();
+    }
+
+    closeImportDialog() {
+        this.importDialog.hidden = true;
+    }
+
+    onImportFileChange(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.importText.value = reader.result;
+            if (/\.conllu$/i.test(file.name)) {
+                this.importDialect.value = 'conllu';
+            } else if (/\.(mrg|ptb)$/i.test(file.name)) {
+                this.importDialect.value = 'ptb';
+            }
+            this.hideImportError();
+        };
+        reader.onerror = () => alert(`Could not read ${file.name}.`);
+        reader.readAsText(file);
+    }
+
+    // Every format comes back as a list of sentences, each holding one or more trees
+    parseImport(notation, dialect = this.importDialect.value) {
+        if (dialect === 'auto' && /^\d+\t/m.test(notation)) dialect = 'conllu';
+
+        if (dialect === 'conllu') return new ConlluFormat().parse(notation);
+        if (dialect === 'ptb') return new TreebankFormat().parse(notation);
+
+        // Affixes are only read from morphology input, so a syntax leaf like e- stays a word
+        const parser = dialect === 'morphology'
+            ? new BracketNotationParser({ dialect: 'square', morphemes: true })
+            : new BracketNotationParser({ dialect });
+        return [{ id: null, text: null, structures: parser.parseForest(notation) }];
+    }
+
+    onImportConfirm() {
+        const notation = this.importText.value;
+        if (!notation.trim()) return;
+
+        let sentences;
+        try {
+            sentences = this.parseImport(notation);
+        } catch (error) {
+            this.showImportError(error, notation);
+            return;
+        }
+
+        // Replacing the workspace would drop the task's given nodes while its answer keys stay loaded
+        if (this.assignment && (sentences.length > 1 || !this.importMerge.checked)) {
+            this.showImportError(new Error('A task is open. Import a single tree with "Add to the current workspace" ticked, or leave the task first.'), notation);
+            return;
+        }
+
+        // Files with several sentences are stepped through one at a time
+        if (sentences.length > 1) {
+            this.corpus = { sentences, index: 0 };
+            this.closeImportDialog();
+            this.showCorpusSentence(0);
+            return;
+        }
+
+        this.closeCorpus();
+        const structures = sentences[0].structures;
+        const merge = this.importMerge.checked && this.model.nodes.length > 0;
+
+        this.recordHistory();
+        this.ui.clearSelection();
+
+        let roots;
+        if (merge) {
+            roots = this.mergeStructures(structures);
+        } else {
+            // Clear existing tree
+            this.model.clear();
+
+            // Build tree from structure
+            roots = structures.map(structure => this.buildTreeFromStructure(structure, null, 0));
+
+            // Auto-layout
+            this.autoLayout();
+        }
+
+        this.linkTraces(roots);
+        this.closeImportDialog();
+        this.updateUI();
+        this.render();
+    }
+
+    // Treebank wh-traces (*T*-1) get a movement arrow to their antecedent (WHNP-1).
+    // Indices are numbered per sentence, so only the trees just built are searched, each on its own
+    linkTraces(roots) {
+        roots.forEach(root => {
+            const nodes = this.getSubtreeNodes(root.id);
+            nodes
+                .filter(n => n.type === 'WORD' && n.label === '*T*' && n.subscript)
+                .forEach(trace => {
+                    const antecedent = this.findAntecedent(trace) ||
+                        nodes.find(n => n.type === 'CAT' && n.subscript === trace.subscript);
+                    if (!antecedent || this.model.movements.some(m => m.fromId === trace.id)) return;
+                    this.model.createMovement(trace.id, antecedent.id);
+                });
+        });
+    }
+
+    // The closest c-commanding node with the trace's index: a sister of the trace
+    // or of one of its ancestors, looking upward
+    findAntecedent(trace) {
+        let node = trace;
+        let parent = this.model.getParentOf(trace.id);
+        while (parent) {
+            const antecedent = this.model.getChildrenOf(parent.id)
+                .find(sister => sister !== node && sister.type === 'CAT' && sister.subscript === trace.subscript);
+            if (antecedent) return antecedent;
+            node = parent;
+            parent = this.model.getParentOf(node.id);
+        }
+        return null;
+    }
+
+    // STEPPING THROUGH SENTENCES
+
+    showCorpusSentence(index) {
+        if (this.rejectReplaceInTask('Stepping to another sentence')) return;
+        this.corpus.index = index;
+        this.recordHistory();
+        this.ui.clearSelection();
+        this.model.clear();
+        const roots = this.corpus.sentences[index].structures.map(structure => this.buildTreeFromStructure(structure, null, 0));
+        this.linkTraces(roots);
+        this.autoLayout();
+        this.updateCorpusBar();
+        this.updateUI();
+        this.render();
+    }
+
+    onCorpusStep(step) {
+        if (!this.corpus) return;
+        const index = this.corpus.index + step;
+        if (index < 0 || index >= this.corpus.sentences.length) return;
+        this.showCorpusSentence(index);
+    }
+
+    closeCorpus() {
+        this.corpus = null;
+        this.updateCorpusBar();
+    }
+
+    updateCorpusBar() {
+        this.corpusBar.hidden = !this.corpus;
+        if (!this.corpus) return;
+
+        const { sentences, index } = this.corpus;
+        const sentence = sentences[index];
+        this.corpusStatus.textContent = `Sentence ${index + 1} of ${sentences.length}${sentence.id ? ` (${sentence.id})` : ''}`;
+        this.corpusText.textContent = sentence.text || '';
+        this.corpusPrevBtn.disabled = index === 0;
+        this.corpusNextBtn.disabled = index === sentences.length - 1;
+    }
+
+    // START FROM SENTENCE
+
+    onSentenceClick() {
+        const grammar = this.storage.loadGrammar();
+        this.grammarRules.value = grammar.rules;
+        this.grammarLexicon.value = grammar.lexicon;
+        this.clearParseChoices();
+        this.sentenceDialog.hidden = false;
+        this.sentenceText.focus();
+    }
+
+    closeSentenceDialog() {
+        this.sentenceDialog.hidden = true;
+        this.clearParseChoices();
+    }
+
+    onGrammarResetClick() {
+        if (!confirm('Replace the rules and lexicon with the example grammar?')) return;
+        this.grammarRules.value = DEFAULT_GRAMMAR.rules;
+        this.grammarLexicon.value = DEFAULT_GRAMMAR.lexicon;
+        this.storage.saveGrammar(DEFAULT_GRAMMAR);
+        this.clearParseChoices();
+    }
+
+    clearParseChoices() {
+        this.parseResults = null;
+        this.sentenceParses.innerHTML = '';
+        this.sentenceParses.hidden = true;
+        this.sentenceError.hidden = true;
+    }
+
+    showSentenceError(message) {
+        this.sentenceError.textContent = message;
+        this.sentenceError.hidden = false;
+    }
+
+    onSentenceConfirm() {
+        const tokens = tokenizeSentence(this.sentenceText.value);
+        if (tokens.length === 0) {
+            this.showSentenceError('Type a sentence first.');
+            return;
+        }
+
+        if (!this.sentenceParse.checked) {
+            this.createWordNodes(tokens);
+            return;
+        }
+
+        // A second press builds whichever of the listed parses is picked
+        if (this.parseResults) {
+            const choice = this.sentenceParses.querySelector('input:checked');
+            this.createParseTree(this.parseResults[Number(choice.value)]);
+            return;
+        }
+
+        const grammar = { rules: this.grammarRules.value, lexicon: this.grammarLexicon.value };
+        this.storage.saveGrammar(grammar);
+
+        let parses;
+        try {
+            parses = new PhraseStructureParser(grammar.rules, grammar.lexicon).parse(tokens);
+        } catch (error) {
+            this.showSentenceError(error.message);
+            return;
+        }
+
+        if (parses.length === 0) {
+            this.showSentenceError(`The grammar has no parse for "${tokens.join(' ')}".`);
+        } else if (parses.length === 1) {
+            this.createParseTree(parses[0]);
+        } else {
+            this.showParseChoices(parses);
+        }
+    }
+
+    showParseChoices(parses) {
+        this.clearParseChoices();
+        this.parseResults = parses;
+
+        const heading = document.createElement('p');
+        heading.className = 'modal-hint';
+        heading.textContent = parses.length >= MAX_PARSES
+            ? `The sentence is ambiguous; here are the first ${MAX_PARSES} parses. Pick one and press Create.`
+            : `The sentence has ${parses.length} parses. Pick one and press Create.`;
+        this.sentenceParses.appendChild(heading);
+
+        parses.forEach((parse, i) => {
+            const label = document.createElement('label');
+            label.className = 'parse-choice';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'sentence-parse-choice';
+            radio.value = i;
+            radio.checked = i === 0;
+            const notation = document.createElement('code');
+            notation.textContent = structureToBracketNotation(parse);
+            label.append(radio, notation);
+            this.sentenceParses.appendChild(label);
+        });
+
+        this.sentenceParses.hidden = false;
+    }
+
+    // Words go left to right below anything already in the workspace
+    createWordNodes(tokens) {
+        const nodes = this.model.nodes;
+        let x = nodes.length > 0 ? Math.min(...nodes.map(n => n.x)) : 100;
+        const y = nodes.length > 0 ? Math.max(...nodes.map(n => n.y + n.height)) + 100 : 300;
+
+        this.recordHistory();
+        const words = tokens.map(token => {
+            const node = this.model.createNode(token, x, y, 'WORD');
+            this.fitNodeWidth(node);
+            x += node.width + 20;
+            return node;
+        });
+
+        this.ui.selectNodes(words.map(n => n.id));
+        this.closeSentenceDialog();
+        this.updateUI();
+        this.render();
+    }
+
+    createParseTree(structure) {
+        this.addStructure(structure);
+        this.closeSentenceDialog();
+        this.updateUI();
+        this.render();
+    }
+
+    // A new tree goes beside existing content, or is laid out on its own
+    addStructure(structure) {
+        this.recordHistory();
+        this.ui.clearSelection();
+
+        if (this.model.nodes.length > 0) {
+            this.mergeStructures([structure]);
+        } else {
+            this.buildTreeFromStructure(structure, null, 0);
+            this.autoLayout();
+        }
+    }
+
+    // MORPHOLOGY
+
+    onMorphologyClick() {
+        this.morphologyDialog.hidden = false;
+        this.updateMorphologyPreview();
+        this.morphWord.focus();
+    }
+
+    closeMorphologyDialog() {
+        this.morphologyDialog.hidden = true;
+    }
+
+    readMorphologyForm() {
+        return buildMorphologyStructure(this.morphSegmentation.value, {
+            gloss: this.morphGloss.value,
+            categories: this.morphCategories.value,
+            prefixesFirst: this.morphPrefixesFirst.checked
+        });
+    }
+
+    updateMorphologyPreview() {
+        this.morphError.hidden = true;
+        this.morphPreview.textContent = '';
+        if (!this.morphSegmentation.value.trim()) return;
+
+        try {
+            this.morphPreview.textContent = structureToBracketNotation(this.readMorphologyForm());
+        } catch (error) {
+            this.morphError.textContent = error.message;
+            this.morphError.hidden = false;
+        }
+    }
+
+    onMorphologyConfirm() {
+        if (!this.morphSegmentation.value.trim()) {
+            this.morphError.textContent = 'Type a word and check its segmentation first.';
+            this.morphError.hidden = false;
+            return;
+        }
+
+        let structure;
+        try {
+            structure = this.readMorphologyForm();
+        } catch (error) {
+            this.morphError.textContent = error.message;
+            this.morphError.hidden = false;
+            return;
+        }
+
+        this.addStructure(structure);
+        this.closeMorphologyDialog();
+        this.updateUI();
+        this.render();
+    }
+
+    // Lay out imported trees on their own, then place them to the right of existing content; returns their roots
+    mergeStructures(structures) {
+        const existing = this.model.nodes.slice();
+        const roots = structures.map(structure => this.buildTreeFromStructure(structure, null, 0));
+        const positions = this.computeForestLayout(roots);
+        const placed = Object.values(positions);
+
+        const shiftX = Math.max(...existing.map(n => n.x + n.width)) + 80 - Math.min(...placed.map(p => p.x));
+        const shiftY = Math.min(...existing.map(n => n.y)) - Math.min(...placed.map(p => p.y));
+        placed.forEach(pos => {
+            pos.x += shiftX;
+            pos.y += shiftY;
+        });
+
+        this.applyPositions(positions);
+        return roots;
+    }
+
+    showImportError(error, notation) {
+        this.importErrorMessage.textContent = `Import failed: ${error.message}`;
+        this.importErrorContext.innerHTML = '';
+
+        if (error instanceof BracketParseError) {
+            // Show the offending line with the bad span highlighted
+            const lineStart = notation.lastIndexOf('\n', error.start - 1) + 1;
+            const nextBreak = notation.indexOf('\n', error.start);
+            const lineEnd = nextBreak === -1 ? notation.length : nextBreak;
+            const spanEnd = Math.min(error.end, lineEnd);
+
+            const mark = document.createElement('mark');
+            mark.textContent = notation.slice(error.start, spanEnd) || ' ';
+            this.importErrorContext.append(
+                notation.slice(lineStart, error.start),
+                mark,
+                notation.slice(spanEnd, lineEnd)
+            );
+            this.importErrorContext.hidden = false;
+
+            this.importText.focus();
+            this.importText.setSelectionRange(error.start, error.end);
+        } else {
+            this.importErrorContext.hidden = true;
+        }
+
+        this.importError.hidden = false;
+    }
+
+    hideImportError() {
+        this.importError.hidden = true;
+    }
+
+    buildTreeFromStructure(structure, parentId, depth, model = this.model) {
+        if (structure.word) {
+            const props = {};
+            ['morph', 'gloss', 'subscript', 'features'].forEach(key => {
+                if (structure[key]) props[key] = structure[key];
+            });
+            const wordNode = model.createNode(structure.label, 100 + depth * 50, 50 + depth * 100, 'WORD', props);
+            if (parentId) model.createEdge(parentId, wordNode.id);
+            return wordNode;
+        }
+
+        const props = structure.roof ? { roof: true } : {};
+        ['family', 'functionTags', 'subscript', 'features'].forEach(key => {
+            if (structure[key]) props[key] = structure[key];
+        });
+        const node = model.createNode(structure.label, 100 + depth * 50, 50 + depth * 100, 'CAT', props);
+
+        if (parentId) {
+            model.createEdge(parentId, node.id);
+        }
+
+        if (structure.children && structure.children.length > 0) {
+            structure.children.forEach(child => {
+                this.buildTreeFromStructure(child, node.id, depth + 1, model);
+            });
+        }
+
+        if (structure.leafText && structure.leafText.length > 0) {
+            const wordLabel = structure.leafText.join(' ');
+            const wordNode = model.createNode(wordLabel, 100 + (depth + 1) * 50, 50 + (depth + 1) * 100, 'WORD');
+            model.createEdge(node.id, wordNode.id);
+        }
+
+        return node;
+    }
+
+    // TREE COMPARISON
+
+    onCompareClick() {
+        this.compareError.hidden = true;
+        this.compareDialog.hidden = false;
+        // The workspace usually holds the tree being checked; the key comes from a file or brackets
+        if (!this.compareTrees.answer && this.model.nodes.length > 0 && this.model.mode !== 'dependency') {
+            this.loadCompareTree('answer', () => this.model.snapshot());
+        } else {
+            this.updateComparison();
+        }
+    }
+
+    closeCompareDialog() {
+        this.compareDialog.hidden = true;
+    }
+
+    // Each side is a laid-out copy, fully expanded, so the workspace can change underneath
+    loadCompareTree(side, getSnapshot) {
+        this.compareError.hidden = true;
+        try {
+            const model = new TreeModel();
+            model.restore(getSnapshot());
+            if (model.mode === 'dependency') {
+                throw new Error('Only constituency trees can be compared.');
+            }
+            if (model.nodes.length === 0) {
+                throw new Error('There is no tree to compare.');
+            }
+            model.nodes.forEach(n => delete n.collapsed);
+            const positions = this.computeForestLayout(model.getRoots().sort((a, b) => a.x - b.x), model);
+            model.nodes.forEach(node => Object.assign(node, positions[node.id]));
+            this.compareTrees[side] = model;
+        } catch (error) {
+            this.compareError.textContent = `Could not load the ${side === 'key' ? 'answer key' : 'tree'}: ${error.message}`;
+            this.compareError.hidden = false;
+        }
+        this.updateComparison();
+    }
+
+    onCompareNotationLoad(side) {
+        const notation = this.comparePanes[side].notation.value;
+        if (!notation.trim()) return;
+
+        this.loadCompareTree(side, () => {
+            // Round brackets are read as Penn Treebank, so function tags and empty elements are set aside as in evalb
+            const model = new TreeModel();
+            const [sentence] = this.parseImport(notation, notation.trim().startsWith('(') ? 'ptb' : 'auto');
+            sentence.structures.forEach(structure => this.buildTreeFromStructure(structure, null, 0, model));
+            return model.snapshot();
+        });
+    }
+
+    onCompareFileChange(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const side = this.compareFileSide;
+        const reader = new FileReader();
+        reader.onload = () => this.loadCompareTree(side, () => {
+            const format = new TreeDocumentFormat();
+            return format.validate(format.parse(reader.result)).model;
+        });
+        reader.onerror = () => alert(`Could not read ${file.name}.`);
+        reader.readAsText(file);
+    }
+
+    updateComparison() {
+        const { key, answer } = this.compareTrees;
+        const comparison = key && answer ? new TreeComparison(key, answer) : null;
+        this.renderCompareTree('key', comparison && comparison.keyStatus);
+        this.renderCompareTree('answer', comparison && comparison.answerStatus);
+        this.compareDifferences.innerHTML = '';
+
+        if (!comparison) {
+            this.compareSummary.textContent = 'Load both trees to compare them.';
+            return;
+        }
+
+        const scores = comparison.getScores();
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const summary = [
+            `Precision ${percent(scores.precision)} (${scores.matched}/${scores.answerBrackets})`,
+            `Recall ${percent(scores.recall)} (${scores.matched}/${scores.keyBrackets})`,
+            `F1 ${percent(scores.f1)}`
+        ];
+        if (scores.tagged > 0) summary.push(`Tags ${scores.taggedCorrectly}/${scores.tagged}`);
+        this.compareSummary.textContent = summary.join(' · ');
+
+        const differences = comparison.differences.length > 0
+            ? comparison.differences
+            : [{ status: 'match', text: 'The trees have the same structure and labels.' }];
+        differences.forEach(({ status, text }) => {
+            const item = document.createElement('li');
+            item.className = `compare-${status}`;
+            item.textContent = text;
+            this.compareDifferences.appendChild(item);
+        });
+    }
+
+    // Differences are drawn as node colours; the trees' own colours are left out
+    renderCompareTree(side, statuses) {
+        const container = this.comparePanes[side].tree;
+        const model = this.compareTrees[side];
+        if (!model) {
+            container.textContent = 'No tree loaded.';
+            return;
+        }
+
+        const copy = new TreeModel();
+        copy.restore(model.snapshot());
+        copy.nodes.forEach(node => {
+            delete node.color;
+            const status = statuses && statuses.get(node.id);
+            if (status) node.color = COMPARISON_COLORS[status];
+        });
+        container.innerHTML = new TreeImageExporter(copy).toSVG();
+    }
+
+    // ASSIGNMENTS
+
+    isLockedNode(node) {
+        return Boolean(this.assignment && node.locked);
+    }
+
+    // Given nodes keep their label and cannot be deleted; attaching them is the student's job
+    rejectLockedNodes(ids) {
+        const locked = ids.some(id => {
+            const node = this.model.nodes.find(n => n.id === id);
+            return node && this.isLockedNode(node);
+        });
+        if (locked) alert('Locked nodes are given in the task and cannot be changed or deleted.');
+        return locked;
+    }
+
+    // Rebuilding the whole workspace would drop the given nodes while the task stays open
+    rejectReplaceInTask(action) {
+        if (!this.assignment) return false;
+        alert(`${action} would remove the nodes the task gives. Leave the task first.`);
+        return true;
+    }
+
+    onAssignmentClick() {
+        this.updateAssignmentDialog();
+        this.assignmentDialog.hidden = false;
+    }
+
+    closeAssignmentDialog() {
+        this.assignmentDialog.hidden = true;
+    }
+
+    updateAssignmentDialog() {
+        this.assignmentTask.hidden = !this.assignment;
+        this.assignmentCreate.hidden = Boolean(this.assignment);
+        this.assignmentSentence.textContent = this.assignment ? this.assignment.sentence : '';
+        this.assignmentReportText.hidden = !this.assignmentReport;
+        this.assignmentReportText.textContent = this.assignmentReport || '';
+        this.assignmentReportBtn.disabled = !this.assignmentReport;
+
+        const count = this.answerKeys.length;
+        this.assignmentKeys.textContent = count === 0
+            ? 'No answer keys yet.'
+            : `${count} answer key${count === 1 ? '' : 's'} for "${this.getSentence(this.answerKeys[0])}".`;
+        this.assignmentClearKeysBtn.disabled = count === 0;
+        this.assignmentExportBtn.disabled = count === 0;
+    }
+
+    // The words of a model snapshot, read the way the comparison reads them
+    getSentence(snapshot) {
+        const model = new TreeModel();
+        model.restore(snapshot);
+        return getTreeSpans(model).words.map(word => word.label).join(' ');
+    }
+
+    onAddAnswerKeyClick() {
+        if (this.model.nodes.length === 0) {
+            alert('Build the answer key in the workspace first.');
+            return;
+        }
+        if (this.model.mode === 'dependency') {
+            alert('Answer keys must be constituency trees.');
+            return;
+        }
+
+        const key = this.model.snapshot();
+        // Alternative keys are other analyses of the same sentence
+        if (this.answerKeys.length > 0 && this.getSentence(key) !== this.getSentence(this.answerKeys[0])) {
+            alert(`An alternative key must have the same words as the first: "${this.getSentence(this.answerKeys[0])}".`);
+            return;
+        }
+        this.answerKeys.push(key);
+        this.updateAssignmentDialog();
+    }
+
+    onExportTaskClick() {
+        if (this.answerKeys.length === 0) return;
+
+        const assignment = {
+            sentence: this.getSentence(this.answerKeys[0]),
+            tolerance: {
+                ignoreLabels: this.assignmentIgnoreLabels.checked,
+                allowUnary: this.assignmentAllowUnary.checked
+            },
+            keys: this.answerKeys
+        };
+        const task = this.createTaskModel(this.answerKeys[0]);
+        const json = JSON.stringify(new TreeDocumentFormat().serialize(task, this.palettes.getActive(), assignment), null, 2);
+        this.downloadFile('task.json', json, 'application/json');
+    }
+
+    // The starting tree: the first key's given nodes (and its words, if those are given),
+    // with the branches between them, laid out afresh so positions give nothing away.
+    // Given nodes keep only their label and type; notes, features and the rest could hint at the answer
+    createTaskModel(key) {
+        const source = new TreeModel();
+        source.restore(key);
+        const given = source.nodes.filter(n => n.locked || (this.assignmentGiveWords.checked && n.type === 'WORD'));
+        const givenIds = new Set(given.map(n => n.id));
+
+        const task = new TreeModel();
+        task.restore({
+            nodes: given.map(({ id, label, type, x, y, width, height }) => ({ id, label, type, x, y, width, height, locked: true })),
+            edges: source.edges
+                .filter(e => givenIds.has(e.parentId) && givenIds.has(e.childId))
+                .map(({ id, parentId, childId, index }) => ({ id, parentId, childId, index })),
+            nextNodeId: source.nextNodeId,
+            nextEdgeId: source.nextEdgeId
+        });
+
+        const positions = this.computeForestLayout(task.getRoots().sort((a, b) => a.x - b.x), task);
+        task.nodes.forEach(node => Object.assign(node, positions[node.id]));
+        return task;
+    }
+
+    onCheckAssignmentClick() {
+        if (this.model.mode === 'dependency') {
+            alert('Switch to the constituency view to check your tree.');
+            return;
+        }
+
+        const { keys, tolerance } = this.assignment;
+        const keyModels = keys.map(snapshot => {
+            const model = new TreeModel();
+            model.restore(snapshot);
+            return model;
+        });
+        const { comparison, index } = compareWithKeys(keyModels, this.model, tolerance);
+        this.assignmentReport = this.formatAssignmentReport(comparison, index);
+        this.updateAssignmentDialog();
+    }
+
+    // Plain text, so it can be read anywhere and handed in with the tree
+    formatAssignmentReport(comparison, keyIndex) {
+        const { keys, tolerance, sentence } = this.assignment;
+        const scores = comparison.getScores();
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const tolerances = [
+            tolerance.ignoreLabels && 'labels ignored',
+            tolerance.allowUnary && 'extra or missing unary levels accepted'
+        ].filter(Boolean);
+
+        const lines = [`Assignment: ${sentence}`];
+        if (keys.length > 1) lines.push(`Checked against answer key ${keyIndex + 1} of ${keys.length}, the closest to your tree.`);
+        if (tolerances.length > 0) lines.push(`Tolerance: ${tolerances.join('; ')}.`);
+        lines.push(`Brackets: precision ${percent(scores.precision)} (${scores.matched}/${scores.answerBrackets}), recall ${percent(scores.recall)} (${scores.matched}/${scores.keyBrackets}), F1 ${percent(scores.f1)}.`);
+        if (scores.tagged > 0) lines.push(`Tags: ${scores.taggedCorrectly} of ${scores.tagged} correct.`);
+        if (!comparison.wordsMatch) {
+            lines.push('', `Your tree's words differ from the sentence: "${comparison.getWordText(comparison.answer)}".`);
+        }
+
+        const { nodes, missing } = comparison.getFeedback();
+        lines.push('', 'Your nodes:');
+        nodes.forEach(({ label, text, status, notes }) => {
+            const mark = status === 'match' ? '✓' : '✗';
+            lines.push(`  ${mark} ${label} "${text}"${notes.length > 0 ? `: ${notes.join('; ')}` : ''}`);
+        });
+        if (missing.length > 0) {
+            lines.push('', 'Missing from your tree:');
+            missing.forEach(({ label, text }) => lines.push(`  ✗ ${label} over "${text}"`));
+        }
+        return lines.join('\n');
+    }
+
+    onExportReportClick() {
+        if (!this.assignmentReport) return;
+        this.downloadFile('feedback.txt', `${this.assignmentReport}\n`, 'text/plain');
+    }
+
+    onLeaveAssignmentClick() {
+        if (!confirm('Leave this task? Its answer keys are dropped and locked nodes can be edited again.')) return;
+
+        this.assignment = null;
+        this.assignmentReport = null;
+        this.updateAssignmentDialog();
+        this.updateUI();
+        this.render();
+    }
+
+    // PERSISTENCE
+
+    scheduleAutosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.saveWorkspace(), 300);
+    }
+
+    saveWorkspace() {
+        this.storage.saveWorkspace(this.toDocument());
+    }
+
+    restoreWorkspace() {
+        const saved = this.storage.loadWorkspace();
+        if (!saved) return;
+
+        try {
+            const { model, palette, assignment } = new TreeDocumentFormat().validate(saved);
+            this.model.restore(model);
+            this.assignment = assignment;
+            // Palettes are stored on their own; only blocks from older autosaves need carrying over
+            if (palette && !palette.name) this.addDocumentPalette(palette, false);
+        } catch (error) {
+            // An autosave that no longer reads is ignored and the workspace starts empty
+        }
+
+        this.render();
+    }
+
+    toDocument() {
+        return new TreeDocumentFormat().serialize(this.model, this.palettes.getActive(), this.assignment);
+    }
+
+    // Task files open with the task showing; any other document ends the current task
+    loadDocument(data) {
+        const { model, palette, assignment } = new TreeDocumentFormat().validate(data);
+
+        this.recordHistory();
+        this.model.restore(model);
+        this.assignment = assignment;
+        this.assignmentReport = null;
+        if (palette) this.addDocumentPalette(palette);
+        this.ui.clearSelection();
+        this.ui.exitAddDescendentMode();
+        this.updateUI();
+        this.render();
+        if (assignment) this.onAssignmentClick();
+    }
+
+    // A document's palette is added beside the user's palettes, never merged into one of them.
+    // Unnamed palettes (version 1 custom blocks) were extras on top of the active palette
+    addDocumentPalette(palette, ask = true) {
+        const base = palette.name || this.palettes.activeName;
+        if (this.palettes.missingBlocks(base, palette.blocks).length === 0) return;
+
+        const blocks = palette.name ? palette.blocks : [...this.palettes.getActive().blocks, ...this.palettes.missingBlocks(base, palette.blocks)];
+        const name = this.palettes.uniqueName(palette.name ? palette.name : 'Custom blocks');
+        const message = name === palette.name
+            ? `This document uses the palette "${name}". Add it to your palettes?`
+            : `This document has blocks that are not in your "${base}" palette. Add them as a separate palette "${name}"?`;
+        if (ask && !confirm(message)) return;
+
+        this.palettes.importPalette({ name, blocks });
+        this.renderPalette();
+    }
+
+    onSaveFileClick() {
+        if (this.model.nodes.length === 0) {
+            alert('No nodes to save.');
+            return;
+        }
+
+        const json = JSON.stringify(this.toDocument(), null, 2);
+        this.downloadFile('tree.json', json, 'application/json');
+    }
+
+    onOpenFileClick() {
+        this.fileInput.value = '';
+        this.fileInput.click();
+    }
+
+    onFileInputChange(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.loadDocument(new TreeDocumentFormat().parse(reader.result));
+            } catch (error) {
+                alert(`Could not open ${file.name}: ${error.message}`);
+            }
+        };
+        reader.onerror = () => alert(`Could not read ${file.name}.`);
+        reader.readAsText(file);
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    onSaveTreeClick() {
+        if (this.model.nodes.length === 0) {
+            alert('No nodes to save.');
+            return;
+        }
+
+        const name = prompt('Name for this tree:', `Tree ${this.storage.getSavedTrees().length + 1}`);
+        if (!name || !name.trim()) return;
+
+        const saved = this.storage.saveTree(name.trim(), this.toDocument());
+        if (!saved) {
+            alert('Could not save tree: browser storage is unavailable or full.');
+        }
+        this.renderSavedTrees();
+    }
+
+    onSavedTreeAction(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const id = button.closest('.saved-tree').dataset.treeId;
+        const entry = this.storage.getSavedTrees().find(t => t.id === id);
+        if (!entry) return;
+
+        switch (button.dataset.action) {
+            case 'load':
+                try {
+                    this.loadDocument(entry.tree);
+                } catch (error) {
+                    alert(`Could not load "${entry.name}": ${error.message}`);
+                }
+                break;
+            case 'rename': {
+                const name = prompt('Rename tree:', entry.name);
+                if (name && name.trim()) {
+                    this.storage.renameTree(id, name.trim());
+                }
+                break;
+            }
+            case 'delete':
+                if (confirm(`Delete saved tree "${entry.name}"?`)) {
+                    this.storage.deleteTree(id);
+                }
+                break;
+        }
+
+        this.renderSavedTrees();
+    }
+
+    renderSavedTrees() {
+        this.savedTreesList.innerHTML = '';
+        const trees = this.storage.getSavedTrees();
+
+        if (trees.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'saved-trees-empty';
+            empty.textContent = 'No saved trees yet.';
+            this.savedTreesList.appendChild(empty);
+            return;
+        }
+
+        trees.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'saved-tree';
+            item.dataset.treeId = entry.id;
+
+            const name = document.createElement('span');
+            name.className = 'saved-tree-name';
+            name.textContent = entry.name;
+            name.title = new Date(entry.savedAt).toLocaleString();
+            item.appendChild(name);
+
+            ['load', 'rename', 'delete'].forEach(action => {
+                const button = document.createElement('button');
+                button.className = 'saved-tree-btn';
+                button.dataset.action = action;
+                button.textContent = action.charAt(0).toUpperCase() + action.slice(1);
+                item.appendChild(button);
+            });
+
+            this.savedTreesList.appendChild(item);
+        });
+    }
+
+    // VALIDATION
+
+    // Rules only look at labels and edges, so drag frames reuse the last diagnostics
+    runValidation() {
+        const structure = JSON.stringify([
+            this.model.mode,
+            this.model.nodes.map(n => [n.id, n.label, n.type, n.family]),
+            this.model.edges.map(e => [e.parentId, e.childId])
+        ]);
+        if (structure === this.validatedStructure) return;
+
+        this.validatedStructure = structure;
+        this.diagnostics = this.validator.validate(this.model);
+        this.renderDiagnostics();
+    }
+
+    getNodeDiagnostics(nodeId) {
+        return this.diagnostics.filter(d => d.nodeId === nodeId);
+    }
+
+    renderDiagnostics() {
+        const errors = this.diagnostics.filter(d => d.severity === 'error').length;
+        const warnings = this.diagnostics.length - errors;
+        this.validationSummary.textContent = this.diagnostics.length === 0
+            ? 'Diagnostics: no problems'
+            : `Diagnostics: ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`;
+
+        this.validationList.innerHTML = '';
+        this.diagnostics.forEach(diagnostic => {
+            const item = document.createElement('li');
+            item.className = `diagnostic ${diagnostic.severity}`;
+            item.dataset.nodeId = diagnostic.nodeId;
+            item.textContent = diagnostic.message;
+            this.validationList.appendChild(item);
+        });
+    }
+
+    onDiagnosticClick(e) {
+        const item = e.target.closest('.diagnostic');
+        if (!item) return;
+
+        const node = this.model.nodes.find(n => n.id === item.dataset.nodeId);
+        if (!node) return;
+        this.revealNode(node.id);
+        this.ui.selectNode(node.id);
+        this.ensureNodeVisible(node);
+        this.updateUI();
+        this.render();
+    }
+
+    renderValidationSettings() {
+        this.validationPreset.innerHTML = '';
+        const custom = document.createElement('option');
+        custom.value = '';
+        custom.textContent = 'Custom';
+        this.validationPreset.appendChild(custom);
+        Object.keys(VALIDATION_PRESETS).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.validationPreset.appendChild(option);
+        });
+
+        this.validationRules.innerHTML = '';
+        VALIDATION_RULES.forEach(rule => {
+            const { enabled, severity } = this.validator.getRuleSettings(rule);
+            const row = document.createElement('div');
+            row.className = 'validation-rule';
+            row.dataset.ruleId = rule.id;
+            row.title = rule.description;
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = enabled;
+            checkbox.dataset.setting = 'enabled';
+            label.append(checkbox, ` ${rule.name}`);
+
+            const select = document.createElement('select');
+            select.dataset.setting = 'severity';
+            ['error', 'warning'].forEach(level => {
+                const option = document.createElement('option');
+                option.value = level;
+                option.textContent = level;
+                option.selected = level === severity;
+                select.appendChild(option);
+            });
+
+            row.append(label, select);
+            this.validationRules.appendChild(row);
+        });
+
+        this.validationPreset.value = this.getMatchingPreset();
+    }
+
+    getMatchingPreset() {
+        const match = Object.entries(VALIDATION_PRESETS).find(([, preset]) =>
+            VALIDATION_RULES.every(rule => this.validator.getRuleSettings(rule).enabled === Boolean(preset[rule.id]))
+        );
+        return match ? match[0] : '';
+    }
+
+    onValidationRuleChange(e) {
+        const row = e.target.closest('.validation-rule');
+        if (!row || !e.target.dataset.setting) return;
+
+        const settings = this.validator.settings;
+        const ruleId = row.dataset.ruleId;
+        settings[ruleId] = settings[ruleId] || {};
+        settings[ruleId][e.target.dataset.setting] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+
+        this.storage.saveValidationSettings(settings);
+        this.validationPreset.value = this.getMatchingPreset();
+        this.validatedStructure = null;
+        this.render();
+    }
+
+    onValidationPresetChange() {
+        const preset = VALIDATION_PRESETS[this.validationPreset.value];
+        if (!preset) return;
+
+        const settings = this.validator.settings;
+        VALIDATION_RULES.forEach(rule => {
+            settings[rule.id] = { ...(settings[rule.id] || {}), enabled: Boolean(preset[rule.id]) };
+        });
+
+        this.applyValidationSettings(settings);
+    }
+
+    applyValidationSettings(settings) {
+        this.validator.settings = settings;
+        this.storage.saveValidationSettings(settings);
+        this.renderValidationSettings();
+        this.validatedStructure = null;
+        this.render();
+    }
+
+    // Rule settings travel as a file so a course can hand out its preset alongside a palette
+    onExportValidationClick() {
+        const json = JSON.stringify(new ValidationSettingsFormat().serialize(this.validator), null, 2);
+        this.downloadFile('rules.json', json, 'application/json');
+    }
+
+    onValidationFileChange(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let settings;
+            try {
+                const format = new ValidationSettingsFormat();
+                settings = format.validate(format.parse(reader.result));
+            } catch (error) {
+                alert(`Could not open ${file.name}: ${error.message}`);
+                return;
+            }
+            this.applyValidationSettings(settings);
+        };
+        reader.onerror = () => alert(`Could not read ${file.name}.`);
+        reader.readAsText(file);
+    }
+
+    // UNDO / REDO
+
+    recordHistory() {
+        this.history.record(this.model.snapshot());
+        this.updateUI();
+    }
+
+    undo() {
+        const snapshot = this.history.undo(this.model.snapshot());
+        if (snapshot) this.applyHistorySnapshot(snapshot);
+    }
+
+    redo() {
+        const snapshot = this.history.redo(this.model.snapshot());
+        if (snapshot) this.applyHistorySnapshot(snapshot);
+    }
+
+    applyHistorySnapshot(snapshot) {
+        this.model.restore(snapshot);
+
+        // Drop selections that point at nodes or edges that no longer exist
+        const remaining = this.ui.getSelectedNodeIds().filter(id => this.model.nodes.some(n => n.id === id));
+        if (remaining.length !== this.ui.selectedNodes.size) {
+            this.ui.selectNodes(remaining);
+        }
+        if (this.ui.selectedEdge && !this.model.edges.some(e => e.id === this.ui.selectedEdge)) {
+            this.ui.clearSelection();
+        }
+        if (this.ui.selectedMovement && !this.model.movements.some(m => m.id === this.ui.selectedMovement)) {
+            this.ui.clearSelection();
+        }
+        if (this.ui.addDescendentMode) {
+            this.ui.exitAddDescendentMode();
+        }
+        if (this.ui.movementMode) {
+            this.ui.exitMovementMode();
+        }
+
+        this.updateUI();
+        this.render();
+    }
+
+    // RENDERING
+
+    updateUI() {
+        // Update button active states
+        if (this.ui.addDescendentMode) {
+            this.addDescendentBtn.classList.add('active');
+        } else {
+            this.addDescendentBtn.classList.remove('active');
+        }
+        this.addMovementBtn.classList.toggle('active', this.ui.movementMode);
+
+        this.undoBtn.disabled = !this.history.canUndo();
+        this.redoBtn.disabled = !this.history.canRedo();
+        this.treeModeSelect.value = this.model.mode;
+    }
+
+    render() {
+        // Re-rendering replaces the inline editor, so keep what has been typed so far
+        if (this.inlineEdit && this.getInlineEditor()) {
+            this.applyInlineEdit(true);
+        }
+
+        // Clear workspace and SVG
+        this.workspace.innerHTML = '';
+        this.svg.innerHTML = '';
+
+        const hidden = this.getHiddenNodeIds();
+
+        // Draw edges first
+        this.model.edges
+            .filter(edge => !hidden.has(edge.childId))
+            .forEach(edge => this.drawEdge(edge));
+        this.model.nodes
+            .filter(n => n.roof && !n.collapsed && !hidden.has(n.id))
+            .forEach(node => this.drawRoof(node));
+
+        if (this.model.mode === 'dependency') {
+            this.svg.insertAdjacentHTML('afterbegin', movementMarkerSVG('dependency-arrow', '#333333'));
+        }
+
+        const movements = this.model.movements.filter(m => !hidden.has(m.fromId) && !hidden.has(m.toId));
+        if (movements.length > 0) {
+            this.svg.insertAdjacentHTML('afterbegin', movementMarkerSVG('movement-arrow', '#333333'));
+            movements.forEach(movement => this.drawMovement(movement));
+        }
+
+        this.runValidation();
+
+        // Draw nodes
+        this.model.nodes
+            .filter(node => !hidden.has(node.id))
+            .forEach(node => this.drawNode(node));
+
+        this.updatePropertiesPanel();
+
+        this.scheduleAutosave();
+    }
+
+    drawNode(node) {
+        const div = document.createElement('div');
+        div.className = 'node';
+        div.dataset.nodeId = node.id;
+        div.style.left = node.x + 'px';
+        div.style.top = node.y + 'px';
+        div.style.width = node.width + 'px';
+        div.style.minHeight = node.height + 'px';
+
+        if (node.type === 'WORD') {
+            div.classList.add('word');
+        } else if (node.family === 'morphology') {
+            div.classList.add('morphology');
+        }
+
+        if (node.color) {
+            div.classList.add('colored');
+            div.style.setProperty('--node-color', node.color);
+            div.style.setProperty('--node-text-color', getContrastColor(node.color));
+        }
+
+        if (node.notes) {
+            div.classList.add('has-notes');
+            div.title = node.notes;
+        }
+
+        if (node.locked) {
+            div.classList.add('locked');
+        }
+
+        if (this.ui.isNodeSelected(node.id)) {
+            div.classList.add('selected');
+        }
+
+        if (this.ui.addDescendentMode && this.ui.addDescendentParentId === node.id) {
+            div.classList.add('add-descendent-parent');
+        }
+
+        if (this.ui.movementMode && this.ui.movementSourceId === node.id) {
+            div.classList.add('movement-source');
+        }
+
+        if (this.inlineEdit && this.inlineEdit.nodeId === node.id) {
+            // The editor shows the bare label only
+            div.textContent = node.label;
+            div.classList.add('editing');
+            div.contentEditable = 'true';
+            div.spellcheck = false;
+            div.addEventListener('keydown', (e) => this.onInlineEditKeyDown(e));
+            div.addEventListener('blur', () => this.finishInlineEdit(true));
+            this.workspace.appendChild(div);
+            return;
+        }
+
+        appendLabelParts(div, getNodeLabelParts(node));
+
+        if (hasGloss(node)) {
+            const gloss = document.createElement('span');
+            gloss.className = 'node-gloss';
+            getGlossParts(node.gloss).forEach(part => {
+                if (part.abbreviation) {
+                    const abbreviation = document.createElement('span');
+                    abbreviation.className = 'gloss-abbreviation';
+                    abbreviation.textContent = part.text;
+                    gloss.appendChild(abbreviation);
+                } else {
+                    gloss.append(part.text);
+                }
+            });
+            div.appendChild(gloss);
+        }
+
+        if (node.collapsed) {
+            const count = this.getSubtreeNodes(node.id).length - 1;
+            div.classList.add('collapsed');
+            const badge = document.createElement('span');
+            badge.className = 'collapsed-badge';
+            badge.textContent = `+${count}`;
+            badge.title = `${count} hidden node${count === 1 ? '' : 's'}; click to expand`;
+            div.appendChild(badge);
+        }
+
+        const problems = this.getNodeDiagnostics(node.id);
+        if (problems.length > 0) {
+            const badge = document.createElement('span');
+            const hasError = problems.some(p => p.severity === 'error');
+            badge.className = `diagnostic-badge ${hasError ? 'error' : 'warning'}`;
+            badge.textContent = problems.length;
+            badge.title = problems.map(p => p.message).join('\n');
+            div.appendChild(badge);
+        }
+
+        div.draggable = true;
+        this.workspace.appendChild(div);
+    }
+
+    drawEdge(edge) {
+        const parentNode = this.model.nodes.find(n => n.id === edge.parentId);
+        const childNode = this.model.nodes.find(n => n.id === edge.childId);
+
+        // Branches under a roof are replaced by the triangle
+        if (!parentNode || !childNode || parentNode.roof) return;
+
+        if (this.model.mode === 'dependency') {
+            this.drawDependencyArc(edge, parentNode, childNode);
+            return;
+        }
+
+        const { x1, y1, x2, y2 } = getEdgeEndpoints(parentNode, childNode);
+
+        const line = document.createElementNS(SVG_NS, 'line');
+        line.setAttribute('x1', x1);
+        line.setAttribute('y1', y1);
+        line.setAttribute('x2', x2);
+        line.setAttribute('y2', y2);
+        line.setAttribute('data-edge-id', edge.id);
+
+        if (this.ui.selectedEdge === edge.id) {
+            line.classList.add('selected');
+        }
+
+        this.svg.appendChild(line);
+        if (edge.relation) this.drawRelationLabel(edge, (x1 + x2) / 2, (y1 + y2) / 2);
+    }
+
+    drawDependencyArc(edge, head, dependent) {
+        const arc = getDependencyArc(head, dependent);
+        const path = document.createElementNS(SVG_NS, 'path');
+        path.setAttribute('d', arc.d);
+        path.setAttribute('marker-end', 'url(#dependency-arrow)');
+        path.setAttribute('data-edge-id', edge.id);
+        path.classList.add('dependency-arc');
+
+        if (this.ui.selectedEdge === edge.id) {
+            path.classList.add('selected');
+        }
+
+        this.svg.appendChild(path);
+        if (edge.relation) this.drawRelationLabel(edge, arc.labelX, arc.labelY);
+    }
+
+    drawRelationLabel(edge, x, y) {
+        const text = document.createElementNS(SVG_NS, 'text');
+        text.setAttribute('x', x);
+        text.setAttribute('y', y);
+        text.setAttribute('data-edge-id', edge.id);
+        text.classList.add('edge-relation');
+        text.textContent = edge.relation;
+        this.svg.appendChild(text);
+    }
+
+    drawRoof(node) {
+        const children = this.model.getChildrenOf(node.id);
+        if (children.length === 0) return;
+
+        const polygon = document.createElementNS(SVG_NS, 'polygon');
+        polygon.setAttribute('points', getRoofPoints(node, children));
+        polygon.classList.add('roof');
+        this.svg.appendChild(polygon);
+    }
+
+    drawMovement(movement) {
+        const source = this.model.nodes.find(n => n.id === movement.fromId);
+        const target = this.model.nodes.find(n => n.id === movement.toId);
+        if (!source || !target) return;
+
+        const path = document.createElementNS(SVG_NS, 'path');
+        path.setAttribute('d', getMovementPath(this.model.nodes, source, target).d);
+        path.setAttribute('marker-end', 'url(#movement-arrow)');
+        path.setAttribute('data-movement-id', movement.id);
+        path.classList.add('movement');
+
+        if (this.ui.selectedMovement === movement.id) {
+            path.classList.add('selected');
+        }
+
+        this.svg.appendChild(path);
+    }
+}
+
+// TREE VALIDATION
+
+// Heads that may stand for an XP besides the bare category letter
+const HEAD_ALIASES = {
+    A: ['Adj'],
+    D: ['Det'],
+    Adj: ['A'],
+    Det: ['D']
+};
+
+const VALIDATION_RULES = [
+    {
+        id: 'single-root',
+        name: 'Single root',
+        description: 'The workspace holds one connected tree.',
+        enabled: true,
+        severity: 'warning',
+        dependency: true,
+        check(model) {
+            const roots = model.getRoots();
+            if (roots.length <= 1) return [];
+            return roots.map(root => ({
+                nodeId: root.id,
+                message: `"${root.label}" is one of ${roots.length} unconnected roots.`
+            }));
+        }
+    },
+    {
+        id: 'words-at-leaves',
+        name: 'Words only at leaves',
+        description: 'Word nodes must not have children.',
+        enabled: true,
+        severity: 'error',
+        check(model) {
+            return model.nodes
+                .filter(n => n.type === 'WORD' && model.getChildrenOf(n.id).length > 0)
+                .map(n => ({ nodeId: n.id, message: `Word "${n.label}" has children.` }));
+        }
+    },
+    {
+        id: 'categories-have-descendants',
+        name: 'Categories dominate something',
+        description: 'Every category node has at least one child.',
+        enabled: true,
+        severity: 'warning',
+        check(model) {
+            return model.nodes
+                .filter(n => n.type === 'CAT' && model.getChildrenOf(n.id).length === 0)
+                .map(n => ({ nodeId: n.id, message: `Category "${n.label}" has no descendants.` }));
+        }
+    },
+    {
+        id: 'no-unary-chains',
+        name: 'No unary chains',
+        description: 'A category may not have a single category child (turn off for X-bar trees with bar levels).',
+        enabled: false,
+        severity: 'warning',
+        check(model) {
+            return model.nodes
+                .filter(n => {
+                    if (n.type !== 'CAT') return false;
+                    const children = model.getChildrenOf(n.id);
+                    return children.length === 1 && children[0].type === 'CAT';
+                })
+                .map(n => ({ nodeId: n.id, message: `"${n.label}" has a single category child (unary branch).` }));
+        }
+    },
+    {
+        id: 'xbar-head',
+        name: 'X-bar: phrases have heads',
+        description: 'An XP dominates an X head, directly or through X′ levels.',
+        enabled: true,
+        severity: 'warning',
+        check(model) {
+            const problems = [];
+            model.nodes.forEach(node => {
+                if (node.type !== 'CAT' || node.family === 'morphology') return;
+                const match = /^([A-Z][a-z]*)P$/.exec(getBareLabel(node.label));
+                if (!match) return;
+
+                const heads = [match[1], ...(HEAD_ALIASES[match[1]] || [])];
+                if (!hasProjectedHead(model, node.id, heads)) {
+                    problems.push({ nodeId: node.id, message: `${node.label} has no ${heads.join('/')} head.` });
+                }
+            });
+            return problems;
+        }
+    }
+];
+
+// Walk down the projection line (X', X-bar) looking for the head X
+function hasProjectedHead(model, nodeId, heads) {
+    return model.getChildrenOf(nodeId).some(child => {
+        if (child.type !== 'CAT') return false;
+        const label = getBareLabel(child.label);
+        if (heads.includes(label)) return true;
+        const bar = heads.find(h => [`${h}′`, `${h}-bar`, `${h}bar`].includes(label));
+        return Boolean(bar) && hasProjectedHead(model, child.id, heads);
+    });
+}
+
+// Course presets: which rules are on, by rule id
+const VALIDATION_PRESETS = {
+    'Constituency (default)': { 'single-root': true, 'words-at-leaves': true, 'categories-have-descendants': true, 'no-unary-chains': false, 'xbar-head': true },
+    'Bare phrase structure': { 'single-root': true, 'words-at-leaves': true, 'categories-have-descendants': true, 'no-unary-chains': true, 'xbar-head': false },
+    'Morphology': { 'single-root': true, 'words-at-leaves': true, 'categories-have-descendants': true, 'no-unary-chains': false, 'xbar-head': false }
+};
+
+class TreeValidator {
+    // settings: { ruleId: { enabled, severity } } overriding the rule defaults
+    constructor(settings = {}) {
+        this.settings = settings;
+    }
+
+    getRuleSettings(rule) {
+        const override = this.settings[rule.id] || {};
+        return {
+            enabled: override.enabled !== undefined ? override.enabled : rule.enabled,
+            severity: override.severity || rule.severity
+        };
+    }
+
+    validate(model) {
+        const diagnostics = [];
+        VALIDATION_RULES.forEach(rule => {
+            const { enabled, severity } = this.getRuleSettings(rule);
+            if (!enabled) return;
+            // Constituency rules don't apply where words head other words
+            if (model.mode === 'dependency' && !rule.dependency) return;
+            rule.check(model).forEach(problem => {
+                diagnostics.push({ ruleId: rule.id, severity, ...problem });
+            });
+        });
+        return diagnostics;
+    }
+}
+
+// DEPENDENCY TREES
+
+// Treebank and Universal Dependencies tags, by the category they stand for
+const TAG_FAMILIES = {
+    N: ['NN', 'NNS', 'NNP', 'NNPS', 'PRP', 'WP', 'NX', 'NML', 'WHNP', 'NOUN', 'PROPN', 'PRON', 'Pron', 'n'],
+    V: ['VB', 'VBD', 'VBG', 'VBN', 'VBP', 'VBZ', 'VERB', 'v'],
+    T: ['MD', 'AUX', 'Aux', 'I', 'Infl', 'S', 'SQ', 'SINV', 'SBARQ'],
+    A: ['JJ', 'JJR', 'JJS', 'ADJ', 'Adj', 'a'],
+    Adv: ['RB', 'RBR', 'RBS', 'WRB', 'ADV', 'WHADV'],
+    P: ['IN', 'ADP', 'WHP'],
+    D: ['DT', 'PDT', 'WDT', 'PRP$', 'WP$', 'DET', 'Det'],
+    C: ['TO', 'SBAR', 'SCONJ', 'Comp'],
+    Conj: ['CC', 'CCONJ', 'CONJ'],
+    Num: ['CD', 'NUM', 'Q'],
+    Punct: ['.', ',', ':', '``', "''", '-LRB-', '-RRB-', 'PUNCT']
+};
+
+// N, N', NP and NN all belong to the noun family; unknown labels are their own family
+function getCategoryFamily(label) {
+    const bare = getBareLabel(label).replace(/['′]+$|bar$/, '');
+    const phrase = bare.length > 1 && bare.endsWith('P') && bare !== 'PRP' && bare !== 'WP' ? bare.slice(0, -1) : bare;
+    for (const candidate of [bare, phrase]) {
+        if (TAG_FAMILIES[candidate]) return candidate;
+        const family = Object.keys(TAG_FAMILIES).find(key => TAG_FAMILIES[key].includes(candidate));
+        if (family) return family;
+    }
+    return phrase;
+}
+
+// Which child heads a phrase, most preferred first. Content words are heads,
+// as in Universal Dependencies: the noun heads a DP or PP, the verb heads a TP.
+const HEAD_PREFERENCES = {
+    N: ['N'],
+    V: ['V'],
+    A: ['A'],
+    Adv: ['Adv'],
+    D: ['N', 'D'],
+    P: ['N', 'D', 'P'],
+    T: ['V', 'T', 'A', 'N', 'D'],
+    C: ['T', 'V', 'C']
+};
+
+// Treebank function tags that name a dependency relation
+const FUNCTION_TAG_RELATIONS = {
+    SBJ: 'nsubj',
+    LGS: 'obl:agent',
+    TMP: 'obl:tmp',
+    LOC: 'obl',
+    DIR: 'obl',
+    PRD: 'xcomp'
+};
+
+// Heads and relations read off a constituency tree with head rules
+class DependencyConverter {
+    constructor(model) {
+        this.model = model;
+    }
+
+    // Returns the words in reading order and the arcs between them
+    convert(roots) {
+        this.words = [];
+        this.arcs = [];
+        roots.forEach(root => this.collectWords(root));
+        this.positions = new Map(this.words.map((word, i) => [word.id, i]));
+        this.heads = new Map();
+        roots.forEach(root => this.getHeadWord(root));
+        return { words: this.words, arcs: this.arcs };
+    }
+
+    // Empty elements (-NONE- *T*) have no word in the sentence
+    collectWords(node) {
+        if (node.label === '-NONE-') return;
+        if (node.type === 'WORD') {
+            this.words.push(node);
+            return;
+        }
+        this.model.getChildrenOf(node.id).forEach(child => this.collectWords(child));
+    }
+
+    getHeadWord(node) {
+        if (this.heads.has(node.id)) return this.heads.get(node.id);
+        if (node.type === 'WORD') return this.positions.has(node.id) ? node : null;
+
+        const children = this.model.getChildrenOf(node.id).filter(child => this.getHeadWord(child));
+        if (children.length === 0) {
+            this.heads.set(node.id, null);
+            return null;
+        }
+
+        const headChild = this.chooseHeadChild(node, children);
+        const head = this.getHeadWord(headChild);
+        children.filter(child => child !== headChild).forEach(child => {
+            const dependent = this.getHeadWord(child);
+            this.arcs.push({ head, dependent, relation: this.getRelation(child, head, dependent) });
+        });
+
+        this.heads.set(node.id, head);
+        return head;
+    }
+
+    isHeadLevel(node) {
+        return node.type === 'WORD' || this.model.getChildrenOf(node.id).every(child => child.type === 'WORD');
+    }
+
+    chooseHeadChild(node, children) {
+        // A word directly under a phrase is its lexical head
+        const word = children.find(child => child.type === 'WORD');
+        if (word) return word;
+        if (children.length === 1) return children[0];
+
+        const family = getCategoryFamily(node.label);
+        for (const preferred of HEAD_PREFERENCES[family] || [family]) {
+            const matches = children.filter(child => getCategoryFamily(child.label) === preferred);
+            if (matches.length === 0) continue;
+            // A projection (N', NP) outranks a bare head; in a flat NP the last noun heads (the [school bus])
+            const phrasal = matches.find(child => !this.isHeadLevel(child));
+            if (phrasal) return phrasal;
+            return preferred === 'N' ? matches[matches.length - 1] : matches[0];
+        }
+        return children[0];
+    }
+
+    getRelation(child, head, dependent) {
+        // Treebank function tags and CoNLL-U relations say it outright
+        if (child.functionTags) {
+            const tag = child.functionTags.split('-')[0];
+            if (FUNCTION_TAG_RELATIONS[tag]) return FUNCTION_TAG_RELATIONS[tag];
+            if (/^[a-z]/.test(tag)) return child.functionTags;
+        }
+
+        const family = getCategoryFamily(child.label);
+        const headParent = this.model.getParentOf(head.id);
+        const headFamily = headParent ? getCategoryFamily(headParent.label) : null;
+        const before = this.positions.get(dependent.id) < this.positions.get(head.id);
+        const nominalHead = headFamily === 'N';
+
+        if (family === 'Punct') return 'punct';
+        if (family === 'Conj') return 'cc';
+
+        if (this.isHeadLevel(child)) {
+            const headWordRelations = { D: 'det', P: 'case', T: 'aux', C: 'mark', Num: 'nummod', Adv: 'advmod' };
+            if (headWordRelations[family]) return headWordRelations[family];
+            if (family === 'A') return nominalHead ? 'amod' : 'xcomp';
+            if (family === 'N' && nominalHead) return 'compound';
+        }
+
+        if (family === 'N' || family === 'D') {
+            if (nominalHead) return 'nmod';
+            return before ? 'nsubj' : 'obj';
+        }
+        if (family === 'P') return nominalHead ? 'nmod' : 'obl';
+        if (family === 'A') return nominalHead ? 'amod' : 'xcomp';
+        if (family === 'Adv') return 'advmod';
+        if (family === 'C' || family === 'T') return nominalHead ? 'acl' : 'ccomp';
+        if (family === 'V') return nominalHead ? 'acl' : 'xcomp';
+        return 'dep';
+    }
+}
+
+// Arcs rise above the words in proportion to the distance they span
+const DEPENDENCY_ARC_MIN_HEIGHT = 30;
+const DEPENDENCY_ARC_MAX_HEIGHT = 240;
+const DEPENDENCY_WORD_GAP = 30;
+
+function getDependencyArcHeight(head, dependent) {
+    const span = Math.abs((dependent.x + dependent.width / 2) - (head.x + head.width / 2));
+    return Math.min(DEPENDENCY_ARC_MAX_HEIGHT, DEPENDENCY_ARC_MIN_HEIGHT + span * 0.35);
+}
+
+// Curve from the top of the head word to the top of its dependent; top is the highest point
+function getDependencyArc(head, dependent) {
+    // Arcs leave and arrive a little off center so those in opposite directions don't meet
+    const x1 = head.x + head.width / 2 + (dependent.x > head.x ? 6 : -6);
+    const x2 = dependent.x + dependent.width / 2 + (dependent.x > head.x ? -6 : 6);
+    const y1 = head.y;
+    const y2 = dependent.y;
+    const height = getDependencyArcHeight(head, dependent);
+    const top = Math.min(y1, y2) - height * 0.75;
+    return {
+        d: `M ${x1} ${y1} C ${x1} ${y1 - height}, ${x2} ${y2 - height}, ${x2} ${y2}`,
+        labelX: (x1 + x2) / 2,
+        labelY: top - 4,
+        top: top - 16
+    };
+}
+
+// Connection points: center bottom of parent to center top of child
+function getEdgeEndpoints(parentNode, childNode) {
+    return {
+        x1: parentNode.x + parentNode.width / 2,
+        y1: parentNode.y + parentNode.height,
+        x2: childNode.x + childNode.width / 2,
+        y2: childNode.y
+    };
+}
+
+// Triangle from the bottom of a roofed node over the full width of its children
+function getRoofPoints(parentNode, children) {
+    const apexX = parentNode.x + parentNode.width / 2;
+    const apexY = parentNode.y + parentNode.height;
+    const left = Math.min(...children.map(c => c.x));
+    const right = Math.max(...children.map(c => c.x + c.width));
+    const baseY = Math.min(...children.map(c => c.y));
+    return `${apexX},${apexY} ${left},${baseY} ${right},${baseY}`;
+}
+
+// Free subscripts handed out when coindexing the ends of a movement arrow
+const COINDEX_LETTERS = ['i', 'j', 'k', 'l', 'm', 'n', 'p', 'q'];
+
+// How far below the lowest node a movement arrow passes
+const MOVEMENT_CLEARANCE = 30;
+
+// Movement arrows leave the bottom of the trace and enter the bottom of the
+// landing site, curving underneath every node in between
+function getMovementPath(nodes, source, target) {
+    const x1 = source.x + source.width / 2;
+    const y1 = source.y + source.height;
+    const x2 = target.x + target.width / 2;
+    const y2 = target.y + target.height;
+
+    const left = Math.min(x1, x2);
+    const right = Math.max(x1, x2);
+    const lowest = Math.max(y1, y2, ...nodes
+        .filter(n => n.x < right && n.x + n.width > left)
+        .map(n => n.y + n.height));
+    const bottom = lowest + MOVEMENT_CLEARANCE;
+
+    // A cubic curve with both control points at depth c bottoms out at (y1 + y2 + 6c) / 8
+    const c = Math.round((8 * bottom - y1 - y2) / 6);
+    return { d: `M ${x1} ${y1} C ${x1} ${c}, ${x2} ${c}, ${x2} ${y2}`, bottom };
+}
+
+function movementMarkerSVG(id, color) {
+    return `<defs><marker id="${id}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">` +
+        `<path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/></marker></defs>`;
+}
+
+function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+// Dark or light text, whichever reads better on the given background
+function getContrastColor(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#222222' : '#ffffff';
+}
+
+// Background of the canvas: anything in the viewport that is not a node
+function isEmptyWorkspaceTarget(el, app) {
+    return el === app.workspace || el === app.workspaceWrapper || el === app.workspaceStage || el === app.svg;
+}
+
+function isTextEntryTarget(el) {
+    return Boolean(el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable));
+}
+
+// TREE COMPARISON
+
+// Highlight colours for the compare dialog; matching nodes are left plain
+const COMPARISON_COLORS = {
+    missing: '#e53935',
+    extra: '#fb8c00',
+    relabelled: '#fdd835',
+    moved: '#1e88e5'
+};
+
+// Words and constituent spans in the order nodeToBracketNotation writes them:
+// roots left to right, children in edge order. Words with spaces count once per
+// token. Empty elements (-NONE-) cover no words and are left out, as in evalb.
+function getTreeSpans(model) {
+    const words = [];
+    const constituents = [];
+    const walk = (node, parent) => {
+        if (node.label === '-NONE-') return;
+        const children = model.getChildrenOf(node.id);
+        let constituent = null;
+        if (node.type === 'WORD') {
+            node.label.split(/\s+/).filter(Boolean).forEach(token => words.push({ node, label: token, parent }));
+        } else {
+            constituent = { node, label: getBareLabel(node.label), start: words.length, end: words.length, parent };
+            constituents.push(constituent);
+        }
+        children.forEach(child => walk(child, constituent || parent));
+        if (constituent) {
+            constituent.end = words.length;
+            // Preterminals (a tag over one word) are scored as tagging, not as brackets
+            constituent.preterminal = constituent.end - constituent.start === 1 && children.every(c => c.type === 'WORD');
+        }
+    };
+    model.getRoots().sort((a, b) => a.x - b.x).forEach(root => walk(root, null));
+    return { words, constituents: constituents.filter(c => c.end > c.start) };
+}
+
+// Structural diff of an answer against a key. Constituents pair up by span,
+// same label first: a pair with another label is relabelled, and a pair whose
+// parents cover different spans is attached differently (moved). Unpaired
+// constituents are missing from the answer or extra in it.
+// Tolerances for grading: ignoreLabels compares structure only, and allowUnary
+// lets a node go unpaired when another node over the same words is paired
+// (NP over N over "dogs" against NP over "dogs").
+class TreeComparison {
+    constructor(keyModel, answerModel, { ignoreLabels = false, allowUnary = false } = {}) {
+        this.key = getTreeSpans(keyModel);
+        this.answer = getTreeSpans(answerModel);
+        this.ignoreLabels = ignoreLabels;
+        this.allowUnary = allowUnary;
+        // Node ids repeat between the two models, so each side keeps its own statuses
+        this.keyStatus = new Map();
+        this.answerStatus = new Map();
+        // Unpaired unary nodes let through by allowUnary; they are left out of the scores too
+        this.tolerated = new Set();
+        this.differences = [];
+        this.pairs = this.pairConstituents();
+        this.compareWords();
+        this.compareConstituents();
+    }
+
+    // Answer constituent → key constituent
+    pairConstituents() {
+        const pairs = new Map();
+        const unpaired = this.key.constituents.slice();
+        const pair = test => this.answer.constituents.forEach(c => {
+            if (pairs.has(c)) return;
+            const index = unpaired.findIndex(k => k.start === c.start && k.end === c.end && test(k, c));
+            if (index >= 0) pairs.set(c, unpaired.splice(index, 1)[0]);
+        });
+        pair((k, c) => this.sameLabel(k, c));
+        pair(() => true);
+        return pairs;
+    }
+
+    sameLabel(keyConstituent, answerConstituent) {
+        return this.ignoreLabels || keyConstituent.label === answerConstituent.label;
+    }
+
+    // Another node over the same words was paired, so this one only adds or drops a unary level.
+    // An unpaired node with its label on the other side means it is misplaced instead.
+    isUnaryLevel(spans, constituent, paired, unpairedOther) {
+        return this.allowUnary &&
+            spans.constituents.some(other => other !== constituent &&
+                other.start === constituent.start && other.end === constituent.end && paired.has(other)) &&
+            !unpairedOther.some(other => this.sameLabel(other, constituent));
+    }
+
+    // Accepted unary levels are skipped, so N under N' under NP is still N under NP
+    getParent(constituent) {
+        let parent = constituent.parent;
+        while (parent && this.tolerated.has(parent)) parent = parent.parent;
+        return parent;
+    }
+
+    get wordsMatch() {
+        return this.key.words.length === this.answer.words.length &&
+            this.key.words.every((word, i) => word.label === this.answer.words[i].label);
+    }
+
+    compareWords() {
+        if (this.wordsMatch) return;
+        this.differences.push({
+            status: 'relabelled',
+            text: `The trees have different words: "${this.getWordText(this.key)}" and "${this.getWordText(this.answer)}".`
+        });
+        const length = Math.max(this.key.words.length, this.answer.words.length);
+        for (let i = 0; i < length; i++) {
+            const keyWord = this.key.words[i];
+            const answerWord = this.answer.words[i];
+            if (keyWord && answerWord && keyWord.label === answerWord.label) continue;
+            if (keyWord) this.keyStatus.set(keyWord.node.id, answerWord ? 'relabelled' : 'missing');
+            if (answerWord) this.answerStatus.set(answerWord.node.id, keyWord ? 'relabelled' : 'extra');
+        }
+    }
+
+    compareConstituents() {
+        const paired = new Set(this.pairs.values());
+        const unpairedKey = this.key.constituents.filter(k => !paired.has(k));
+        const unpairedAnswer = this.answer.constituents.filter(c => !this.pairs.has(c));
+        unpairedAnswer.filter(c => this.isUnaryLevel(this.answer, c, this.pairs, unpairedKey)).forEach(c => this.tolerated.add(c));
+        unpairedKey.filter(k => this.isUnaryLevel(this.key, k, paired, unpairedAnswer)).forEach(k => this.tolerated.add(k));
+
+        this.answer.constituents.forEach(c => {
+            const k = this.pairs.get(c);
+            const over = `over "${this.getSpanText(this.answer, c)}"`;
+            if (!k) {
+                if (!this.tolerated.has(c)) this.mark(null, c, 'extra', `Extra ${c.label} ${over}.`);
+                return;
+            }
+            if (!this.sameLabel(k, c)) {
+                this.mark(k, c, 'relabelled', `${k.label} is labelled ${c.label} ${over}.`);
+            }
+            if (!this.sameSpan(this.getParent(k), this.getParent(c))) {
+                const attached = `attached ${this.describeParent(this.answer, this.getParent(c))} instead of ${this.describeParent(this.key, this.getParent(k))}`;
+                this.mark(k, c, 'moved', `${c.label} ${over} is ${attached}.`);
+            }
+        });
+        unpairedKey.filter(k => !this.tolerated.has(k)).forEach(k => {
+            this.mark(k, null, 'missing', `Missing ${k.label} over "${this.getSpanText(this.key, k)}".`);
+        });
+    }
+
+    describeParent(spans, parent) {
+        return parent ? `under ${parent.label} "${this.getSpanText(spans, parent)}"` : 'as a root';
+    }
+
+    // An extra bar level in between (VP over V' over V NP) still covers the same words
+    sameSpan(keyParent, answerParent) {
+        if (!keyParent || !answerParent) return keyParent === answerParent;
+        return keyParent.start === answerParent.start && keyParent.end === answerParent.end;
+    }
+
+    // A moved node that is also relabelled shows as moved
+    mark(keyConstituent, answerConstituent, status, text) {
+        if (keyConstituent) this.keyStatus.set(keyConstituent.node.id, status);
+        if (answerConstituent) this.answerStatus.set(answerConstituent.node.id, status);
+        this.differences.push({ status, text });
+    }
+
+    getWordText(spans) {
+        return spans.words.map(word => word.label).join(' ');
+    }
+
+    getSpanText(spans, constituent) {
+        return spans.words.slice(constituent.start, constituent.end).map(word => word.label).join(' ');
+    }
+
+    // The key decides what is a tag, and an answer node is scored the way its paired
+    // key node is. [NP dogs] against the key [NP [N dogs]] then keeps its NP bracket
+    // and lacks the N tag, just as the diff reports N missing.
+    isKeyTag(keyConstituent) {
+        return !this.allowUnary && keyConstituent.preterminal;
+    }
+
+    isAnswerTag(answerConstituent) {
+        const k = this.pairs.get(answerConstituent);
+        return Boolean(k) && this.isKeyTag(k);
+    }
+
+    // PARSEVAL: labelled brackets over phrases, counted as a multiset the way
+    // evalb does; the key's preterminals give a separate tagging accuracy. With
+    // unary levels accepted, whether a one-word phrase has a tag under it is a
+    // unary level too, so preterminals count as brackets and there is no tagging score.
+    getScores() {
+        const bracketId = c => this.ignoreLabels ? `${c.start} ${c.end}` : `${c.label} ${c.start} ${c.end}`;
+        const keyBrackets = this.key.constituents.filter(k => !this.isKeyTag(k) && !this.tolerated.has(k));
+        const answerBrackets = this.answer.constituents.filter(c => !this.isAnswerTag(c) && !this.tolerated.has(c));
+
+        const unmatched = new Map();
+        keyBrackets.forEach(c => unmatched.set(bracketId(c), (unmatched.get(bracketId(c)) || 0) + 1));
+        let matched = 0;
+        answerBrackets.forEach(c => {
+            const count = unmatched.get(bracketId(c));
+            if (count) {
+                unmatched.set(bracketId(c), count - 1);
+                matched++;
+            }
+        });
+
+        // With no brackets on either side (trees of preterminals only) there is nothing to get wrong
+        const empty = keyBrackets.length === 0 && answerBrackets.length === 0;
+        const precision = answerBrackets.length > 0 ? matched / answerBrackets.length : (empty ? 1 : 0);
+        const recall = keyBrackets.length > 0 ? matched / keyBrackets.length : (empty ? 1 : 0);
+        const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+
+        const tagsByWord = constituents => {
+            const tags = [];
+            constituents.forEach(c => { tags[c.start] = c.label; });
+            return tags;
+        };
+        const keyTags = tagsByWord(this.key.constituents.filter(k => this.isKeyTag(k)));
+        const answerTags = tagsByWord(this.answer.constituents.filter(c => this.isAnswerTag(c)));
+        const tagged = keyTags.filter(Boolean).length;
+        const taggedCorrectly = keyTags.filter((tag, i) => tag && answerTags[i] && (this.ignoreLabels || tag === answerTags[i])).length;
+
+        return {
+            matched,
+            keyBrackets: keyBrackets.length,
+            answerBrackets: answerBrackets.length,
+            precision,
+            recall,
+            f1,
+            tagged,
+            taggedCorrectly
+        };
+    }
+
+    // Feedback on each node of the answer in tree order, then the key's nodes the answer lacks
+    getFeedback() {
+        const nodes = this.answer.constituents.map(c => {
+            const k = this.pairs.get(c);
+            const notes = [];
+            if (this.tolerated.has(c)) {
+                notes.push('extra unary level, accepted');
+            } else if (!k) {
+                notes.push('not in the answer key');
+            } else {
+                if (!this.sameLabel(k, c)) notes.push(`should be labelled ${k.label}`);
+                if (!this.sameSpan(this.getParent(k), this.getParent(c))) notes.push(`should be attached ${this.describeParent(this.key, this.getParent(k))}`);
+            }
+            return { node: c.node, label: c.label, text: this.getSpanText(this.answer, c), status: this.answerStatus.get(c.node.id) || 'match', notes };
+        });
+        const missing = this.key.constituents
+            .filter(k => this.keyStatus.get(k.node.id) === 'missing')
+            .map(k => ({ label: k.label, text: this.getSpanText(this.key, k) }));
+        return { nodes, missing };
+    }
+}
+
+// An answer is graded against whichever accepted key it is closest to: best F1, then fewest differences
+function compareWithKeys(keys, answerModel, tolerance = {}) {
+    let best = null;
+    keys.forEach((key, index) => {
+        const comparison = new TreeComparison(key, answerModel, tolerance);
+        const f1 = comparison.getScores().f1;
+        if (!best || f1 > best.f1 || (f1 === best.f1 && comparison.differences.length < best.comparison.differences.length)) {
+            best = { comparison, index, f1 };
+        }
+    });
+    return best;
+}
+
+// TREE LAYOUT
+
+// Tidy tree layout in the Reingold-Tilford style: subtrees are packed as close
+// as their contours allow, parents sit centered over their children, and
+// packing from both sides is averaged so small subtrees between large ones are
+// spaced evenly.
+class TidyTreeLayout {
+    constructor(getChildren, options = {}) {
+        const { siblingGap = 20, treeGap = 60, levelHeight = 100, alignLeaves = false } = options;
+        this.getChildren = getChildren;
+        this.siblingGap = siblingGap;
+        this.treeGap = treeGap;
+        this.levelHeight = levelHeight;
+        this.alignLeaves = alignLeaves;
+    }
+
+    // Returns { nodeId: { x, y } } with x as the node's left edge
+    layoutForest(roots, originX = 0, originY = 0) {
+        const trees = roots.map(root => {
+            const leafDepth = this.alignLeaves ? this.getHeight(root) : null;
+            return this.buildSubtree(root, 0, leafDepth);
+        });
+        const offsets = this.packSubtrees(trees, this.treeGap);
+
+        // Shift so the leftmost extent of the forest sits at originX
+        const left = Math.min(...trees.map((tree, i) => offsets[i] + Math.min(...tree.contour.map(([l]) => l))));
+
+        const positions = {};
+        trees.forEach((tree, i) => {
+            this.placeSubtree(tree, originX + offsets[i] - left, originY, 0, positions);
+        });
+        return positions;
+    }
+
+    getHeight(node) {
+        const children = this.getChildren(node);
+        return children.length === 0 ? 0 : 1 + Math.max(...children.map(c => this.getHeight(c)));
+    }
+
+    // A subtree records its children's offsets relative to its own center, and a
+    // contour: the [left, right] extent of the subtree at each level below it
+    buildSubtree(node, depth, leafDepth) {
+        const children = this.getChildren(node);
+        const half = node.width / 2;
+
+        if (children.length === 0) {
+            // A leaf dropped to the baseline blocks every level it passes through
+            const levels = leafDepth === null ? 1 : leafDepth - depth + 1;
+            return {
+                node,
+                children: [],
+                offsets: [],
+                drop: levels - 1,
+                contour: Array.from({ length: levels }, () => [-half, half])
+            };
+        }
+
+        const subtrees = children.map(child => this.buildSubtree(child, depth + 1, leafDepth));
+        const packed = this.packSubtrees(subtrees, this.siblingGap);
+
+        // Center parent over first and last child
+        const middle = (packed[0] + packed[packed.length - 1]) / 2;
+        const offsets = packed.map(x => x - middle);
+
+        const contour = [[-half, half]];
+        subtrees.forEach((subtree, i) => {
+            this.mergeContour(contour, subtree.contour, offsets[i], 1);
+        });
+
+        return { node, children: subtrees, offsets, drop: 0, contour };
+    }
+
+    packSubtrees(subtrees, gap) {
+        const fromLeft = this.packFromLeft(subtrees.map(s => s.contour), gap);
+
+        // Pack the mirrored sequence to get the right-aligned placement
+        const mirrored = subtrees.slice().reverse().map(s => s.contour.map(([l, r]) => [-r, -l]));
+        const fromRight = this.packFromLeft(mirrored, gap).reverse().map(x => -x);
+        const shift = fromRight[0];
+
+        return fromLeft.map((x, i) => (x + fromRight[i] - shift) / 2);
+    }
+
+    packFromLeft(contours, gap) {
+        const placed = [];
+        const accumulated = [];
+
+        contours.forEach(contour => {
+            let x = 0;
+            if (accumulated.length > 0) {
+                x = -Infinity;
+                const levels = Math.min(accumulated.length, contour.length);
+                for (let d = 0; d < levels; d++) {
+                    x = Math.max(x, accumulated[d][1] + gap - contour[d][0]);
+                }
+            }
+            placed.push(x);
+            this.mergeContour(accumulated, contour, x, 0);
+        });
+
+        return placed;
+    }
+
+    mergeContour(target, contour, shift, depthOffset) {
+        contour.forEach(([l, r], d) => {
+            const level = d + depthOffset;
+            if (target[level]) {
+                target[level] = [Math.min(target[level][0], l + shift), Math.max(target[level][1], r + shift)];
+            } else {
+                target[level] = [l + shift, r + shift];
+            }
+        });
+    }
+
+    placeSubtree(subtree, centerX, originY, depth, positions) {
+        const { node } = subtree;
+        positions[node.id] = {
+            x: centerX - node.width / 2,
+            y: originY + (depth + subtree.drop) * this.levelHeight
+        };
+        subtree.children.forEach((child, i) => {
+            this.placeSubtree(child, centerX + subtree.offsets[i], originY, depth + 1, positions);
+        });
+    }
+}
+
+// LABEL MARKUP
+
+// Labels use a small markup: DP_i or T_{past} for a subscript, X^max for a
+// superscript, N' for a prime and T[+past] for a feature bundle. A backslash
+// keeps the next character as typed (N\' or \[x\]).
+const LABEL_SCRIPT_CHAR = /[^\s_^'[\]{}\\]/;
+
+// Words only take sub- and superscripts, so apostrophes and brackets stay text
+function parseLabelMarkup(label, { primes = true, features = true } = {}) {
+    const parts = [];
+    const addText = (text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === 'text') {
+            last.text += text;
+        } else {
+            parts.push({ type: 'text', text });
+        }
+    };
+
+    let i = 0;
+    while (i < label.length) {
+        const char = label[i];
+
+        if (char === '\\' && i + 1 < label.length) {
+            addText(label[i + 1]);
+            i += 2;
+        } else if (char === '_' || char === '^') {
+            const type = char === '_' ? 'sub' : 'sup';
+            let end;
+            let text;
+            if (label[i + 1] === '{') {
+                end = label.indexOf('}', i + 2);
+                text = end === -1 ? '' : label.slice(i + 2, end);
+                end++;
+            } else {
+                end = i + 1;
+                while (end < label.length && LABEL_SCRIPT_CHAR.test(label[end])) end++;
+                text = label.slice(i + 1, end);
+            }
+            if (text) {
+                parts.push({ type, text });
+                i = end;
+            } else {
+                addText(char);
+                i++;
+            }
+        } else if (char === "'" && primes) {
+            parts.push({ type: 'prime', text: '′' });
+            i++;
+        } else if (char === '[' && features && label.indexOf(']', i + 1) !== -1) {
+            const end = label.indexOf(']', i + 1);
+            parts.push({ type: 'features', text: label.slice(i + 1, end) });
+            i = end + 1;
+        } else {
+            addText(char);
+            i++;
+        }
+    }
+
+    return parts;
+}
+
+// Label markup plus the node's own subscript and feature fields
+function getNodeLabelParts(node) {
+    const isWord = node.type === 'WORD';
+    const parts = parseLabelMarkup(node.label, { primes: !isWord, features: !isWord });
+    if (isWord && MORPHEME_MARKS[node.morph]) {
+        const [before, after] = MORPHEME_MARKS[node.morph];
+        if (before) parts.unshift({ type: 'text', text: before });
+        if (after) parts.push({ type: 'text', text: after });
+    }
+    if (node.functionTags && !isWord) parts.push({ type: 'function', text: `-${node.functionTags}` });
+    if (node.subscript) parts.push({ type: 'sub', text: node.subscript });
+    if (node.features) parts.push({ type: 'features', text: node.features });
+    return parts;
+}
+
+function appendLabelParts(element, parts) {
+    parts.forEach(part => {
+        if (part.type === 'text' || part.type === 'prime') {
+            element.append(part.text);
+            return;
+        }
+        const tag = { sub: 'sub', sup: 'sup', features: 'span', function: 'span' }[part.type];
+        const span = document.createElement(tag);
+        if (part.type === 'features') {
+            span.className = 'node-features';
+            span.textContent = `[${part.text}]`;
+        } else if (part.type === 'function') {
+            span.className = 'node-function-tags';
+            span.textContent = part.text;
+        } else {
+            span.textContent = part.text;
+        }
+        element.appendChild(span);
+    });
+}
+
+// Category name without indices, superscripts or features, for comparing labels (DP_i is a DP)
+function getBareLabel(label) {
+    return parseLabelMarkup(label)
+        .filter(part => part.type === 'text' || part.type === 'prime')
+        .map(part => part.text)
+        .join('');
+}
+
+function labelPartsToText(parts) {
+    return parts.map(part => part.type === 'features' ? ` [${part.text}]` : part.text).join('');
+}
+
+// Sub- and superscripts shift the baseline, then an empty tspan shifts it back
+function labelPartsToSVG(parts) {
+    return parts.map(part => {
+        const text = escapeXML(part.text);
+        if (part.type === 'sub') return `<tspan font-size="10" dy="4">${text}</tspan><tspan dy="-4"></tspan>`;
+        if (part.type === 'sup') return `<tspan font-size="10" dy="-6">${text}</tspan><tspan dy="6"></tspan>`;
+        if (part.type === 'features') return `<tspan font-size="11" font-weight="normal"> [${text}]</tspan>`;
+        if (part.type === 'function') return `<tspan font-size="11">${text}</tspan>`;
+        return text;
+    }).join('');
+}
+
+function labelPartsToLaTeX(parts) {
+    return parts.map(part => {
+        const text = escapeLaTeX(part.text);
+        if (part.type === 'sub') return `\\textsubscript{${text}}`;
+        if (part.type === 'sup') return `\\textsuperscript{${text}}`;
+        if (part.type === 'prime') return "$'$";
+        if (part.type === 'features') return `{[}${text}{]}`;
+        return text;
+    }).join('');
+}
+
+// Node boxes grow to fit long labels; matches the .node font and padding in style.css
+const MIN_NODE_WIDTH = 100;
+const NODE_HORIZONTAL_PADDING = 36;
+const NODE_FONT = 'bold 14.4px Arial, sans-serif';
+
+// Label plus subscript and feature bundle, as drawn on the node
+function getNodeDisplayText(node) {
+    return labelPartsToText(getNodeLabelParts(node));
+}
+
+let labelMeasureContext;
+
+function measureLabelWidth(label) {
+    if (labelMeasureContext === undefined) {
+        labelMeasureContext = document.createElement('canvas').getContext('2d') || null;
+    }
+    if (!labelMeasureContext) {
+        // Rough average glyph width when canvas text metrics are unavailable
+        return label.length * 8.5;
+    }
+    labelMeasureContext.font = NODE_FONT;
+    return labelMeasureContext.measureText(label).width;
+}
+
+// IMAGE EXPORT
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class TreeImageExporter {
+    constructor(model, padding = 20) {
+        this.model = model;
+        this.padding = padding;
+    }
+
+    // Tight bounding box around all nodes, as in centerNodesInWorkspace
+    getBounds() {
+        const nodes = this.model.nodes;
+        const minX = Math.min(...nodes.map(n => n.x));
+        const maxX = Math.max(...nodes.map(n => n.x + n.width));
+        const maxY = Math.max(...nodes.map(n => n.y + n.height + (hasGloss(n) ? GLOSS_LINE_HEIGHT : 0)), ...this.getMovementPaths().map(p => p.bottom));
+        const minY = Math.min(...nodes.map(n => n.y), ...this.getDependencyArcs().map(({ arc }) => arc.top));
+        return { minX, minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    getDependencyArcs() {
+        if (this.model.mode !== 'dependency') return [];
+        return this.model.edges.map(edge => {
+            const head = this.model.nodes.find(n => n.id === edge.parentId);
+            const dependent = this.model.nodes.find(n => n.id === edge.childId);
+            return head && dependent ? { edge, arc: getDependencyArc(head, dependent) } : null;
+        }).filter(Boolean);
+    }
+
+    getMovementPaths() {
+        return this.model.movements.map(movement => {
+            const source = this.model.nodes.find(n => n.id === movement.fromId);
+            const target = this.model.nodes.find(n => n.id === movement.toId);
+            return source && target ? getMovementPath(this.model.nodes, source, target) : null;
+        }).filter(Boolean);
+    }
+
+    toSVG() {
+        const bounds = this.getBounds();
+        const width = Math.ceil(bounds.width + this.padding * 2);
+        const height = Math.ceil(bounds.height + this.padding * 2);
+        const offsetX = this.padding - bounds.minX;
+        const offsetY = this.padding - bounds.minY;
+
+        const parts = [];
+        parts.push(`<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`);
+        parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+        parts.push(`<g transform="translate(${offsetX} ${offsetY})">`);
+
+        const relationLabel = (edge, x, y) => edge.relation
+            ? `<text x="${x}" y="${y}" fill="#333333" font-family="Arial, sans-serif" font-size="12" text-anchor="middle" paint-order="stroke" stroke="#ffffff" stroke-width="3">${escapeXML(edge.relation)}</text>`
+            : '';
+
+        const dependencyArcs = this.getDependencyArcs();
+        if (dependencyArcs.length > 0) {
+            parts.push(movementMarkerSVG('dependency-arrow', '#333333'));
+            dependencyArcs.forEach(({ edge, arc }) => {
+                parts.push(`<path d="${arc.d}" fill="none" stroke="#333333" stroke-width="1.5" marker-end="url(#dependency-arrow)"/>`);
+                parts.push(relationLabel(edge, arc.labelX, arc.labelY));
+            });
+        }
+
+        this.model.edges.forEach(edge => {
+            const parentNode = this.model.nodes.find(n => n.id === edge.parentId);
+            const childNode = this.model.nodes.find(n => n.id === edge.childId);
+            if (!parentNode || !childNode || parentNode.roof || this.model.mode === 'dependency') return;
+            const { x1, y1, x2, y2 } = getEdgeEndpoints(parentNode, childNode);
+            parts.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#333333" stroke-width="2"/>`);
+            parts.push(relationLabel(edge, (x1 + x2) / 2, (y1 + y2) / 2));
+        });
+
+        this.model.nodes.filter(n => n.roof).forEach(node => {
+            const children = this.model.getChildrenOf(node.id);
+            if (children.length === 0) return;
+            parts.push(`<polygon points="${getRoofPoints(node, children)}" fill="none" stroke="#333333" stroke-width="2" stroke-linejoin="round"/>`);
+        });
+
+        const movementPaths = this.getMovementPaths();
+        if (movementPaths.length > 0) {
+            parts.push(movementMarkerSVG('movement-arrow', '#333333'));
+            movementPaths.forEach(path => {
+                parts.push(`<path d="${path.d}" fill="none" stroke="#333333" stroke-width="1.5" marker-end="url(#movement-arrow)"/>`);
+            });
+        }
+
+        this.model.nodes.forEach(node => {
+            parts.push(this.nodeToSVG(node));
+        });
+
+        parts.push('</g>');
+        parts.push('</svg>');
+        return parts.join('\n');
+    }
+
+    nodeToSVG(node) {
+        const isWord = node.type === 'WORD';
+        const isMorphology = !isWord && node.family === 'morphology';
+        const defaultFill = isWord ? '#fdfaf0' : isMorphology ? '#1a237e' : '#5e35b1';
+        const fill = node.color || defaultFill;
+        const stroke = isWord && !node.color ? '#c4c4c4' : fill;
+        const textColor = node.color ? getContrastColor(node.color)
+            : isWord ? '#333333' : isMorphology ? '#cbe4f9' : '#f9e2fd';
+        const dash = isWord ? ' stroke-dasharray="4 3"' : '';
+        const cx = node.x + node.width / 2;
+        const cy = node.y + node.height / 2;
+
+        const content = labelPartsToSVG(getNodeLabelParts(node));
+
+        const lines = [
+            `<rect x="${node.x + 1}" y="${node.y + 1}" width="${node.width - 2}" height="${node.height - 2}" rx="4" fill="${fill}" stroke="${stroke}" stroke-width="2"${dash}/>`,
+            `<text x="${cx}" y="${cy}" fill="${textColor}" font-family="Arial, sans-serif" font-size="14" font-weight="${isWord ? 600 : 'bold'}" text-anchor="middle" dominant-baseline="central">${content}</text>`
+        ];
+        if (hasGloss(node)) {
+            const gloss = getGlossParts(node.gloss).map(part => part.abbreviation
+                ? `<tspan font-variant="small-caps">${escapeXML(part.text)}</tspan>`
+                : escapeXML(part.text)).join('');
+            lines.push(`<text x="${cx}" y="${node.y + node.height + GLOSS_LINE_HEIGHT / 2}" fill="#555555" font-family="Arial, sans-serif" font-size="12" text-anchor="middle" dominant-baseline="central">${gloss}</text>`);
+        }
+        return lines.join('\n');
+    }
+
+    toPNG(scale = 1) {
+        const svg = this.toSVG();
+        const bounds = this.getBounds();
+        const width = Math.ceil((bounds.width + this.padding * 2) * scale);
+        const height = Math.ceil((bounds.height + this.padding * 2) * scale);
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(image, 0, 0, width, height);
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('Could not encode PNG.'));
+                    }
+                }, 'image/png');
+            };
+            image.onerror = () => reject(new Error('Could not render SVG to an image.'));
+            image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+        });
+    }
+}
+
+function escapeLaTeX(text) {
+    const replacements = {
+        '\\': '\\textbackslash{}',
+        '{': '\\{',
+        '}': '\\}',
+        '$': '\\$',
+        '&': '\\&',
+        '#': '\\#',
+        '%': '\\%',
+        '_': '\\_',
+        '^': '\\^{}',
+        '~': '\\textasciitilde{}',
+        '[': '{[}',
+        ']': '{]}',
+        '<': '\\textless{}',
+        '>': '\\textgreater{}'
+    };
+    return String(text).replace(/[\\{}$&#%_^~\[\]<>]/g, char => replacements[char]);
+}
+
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// BRACKET NOTATION PARSER
+
+const BRACKET_DIALECTS = {
+    square: { open: '[', close: ']' },
+    round: { open: '(', close: ')' }
+};
+
+class BracketParseError extends Error {
+    constructor(message, notation, start, end = start + 1) {
+        const { line, column } = getLineColumn(notation, start);
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'BracketParseError';
+        this.start = start;
+        this.end = Math.max(end, start + 1);
+        this.line = line;
+        this.column = column;
+    }
+}
+
+function getLineColumn(text, offset) {
+    const before = text.slice(0, offset);
+    const lines = before.split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+class BracketNotationParser {
+    // dialect: 'square' for [NP ...], 'round' for (NP ...), or 'auto' to detect
+    // morphemes: morphology input, where leaves like un- and -ness are affixes and other leaves roots
+    // labelFields: read a trailing subscript and feature bundle (DP_i, T[+past]) into node fields
+    constructor(options = {}) {
+        this.dialect = options.dialect || 'auto';
+        this.morphemes = options.morphemes === true;
+        this.labelFields = options.labelFields !== false;
+    }
+
+    // Parse a sequence of top-level bracketings, unwrapping the [ROOT ...] wrapper used by export
+    parseForest(notation) {
+        this.notation = notation;
+        const brackets = this.resolveDialect(notation);
+        const tokens = this.tokenize(notation, brackets);
+
+        if (tokens.length === 0) {
+            throw new BracketParseError('Nothing to import', notation, 0);
+        }
+
+        const structures = [];
+        let pos = 0;
+        while (pos < tokens.length) {
+            const [structure, newPos] = this.parseExpression(tokens, pos);
+            structures.push(structure);
+            pos = newPos;
+        }
+
+        // Only a wrapper around several roots is unwrapped; a tree labelled ROOT over one child stays as is
+        if (structures.length === 1 && tokens[1].type === 'text' && !tokens[1].literal && tokens[1].value === 'ROOT') {
+            const roots = this.readWrappedRoots(tokens);
+            if (roots.length >= 2) return roots;
+        }
+
+        return structures;
+    }
+
+    // Inside the wrapper each bracket or word token is a root of its own; export quotes word roots with spaces
+    readWrappedRoots(tokens) {
+        const roots = [];
+        let pos = 2;
+        while (tokens[pos].type !== 'close') {
+            if (tokens[pos].type === 'open') {
+                const [structure, newPos] = this.parseExpression(tokens, pos);
+                roots.push(structure);
+                pos = newPos;
+            } else {
+                const morpheme = this.readMorpheme(tokens[pos]);
+                roots.push(morpheme ? { ...morpheme, word: true } : this.readLabelFields(this.plainWord(tokens[pos].value)));
+                pos++;
+            }
+        }
+        return roots;
+    }
+
+    parse(notation) {
+        this.notation = notation;
+        const brackets = this.resolveDialect(notation);
+        const tokens = this.tokenize(notation, brackets);
+
+        if (tokens.length === 0) {
+            throw new BracketParseError('Nothing to import', notation, 0);
+        }
+
+        const [structure, pos] = this.parseExpression(tokens, 0);
+
+        if (pos < tokens.length) {
+            const extra = tokens[pos];
+            throw new BracketParseError('Unexpected input after root expression', notation, extra.start, tokens[tokens.length - 1].end);
+        }
+
+        return structure;
+    }
+
+    resolveDialect(notation) {
+        if (this.dialect !== 'auto') {
+            const brackets = BRACKET_DIALECTS[this.dialect];
+            if (!brackets) throw new Error(`Unknown bracket dialect "${this.dialect}".`);
+            return brackets;
+        }
+
+        // A tree starts with its opening bracket, so the first non-space character decides
+        const match = notation.match(/^\s*([[(])/);
+        return match && match[1] === '(' ? BRACKET_DIALECTS.round : BRACKET_DIALECTS.square;
+    }
+
+    tokenize(notation, brackets = BRACKET_DIALECTS.square) {
+        const tokens = [];
+        const isDelimiter = (char) => /\s/.test(char) || char === brackets.open || char === brackets.close || char === '"';
+        let i = 0;
+
+        while (i < notation.length) {
+            const char = notation[i];
+
+            if (char === brackets.open || char === brackets.close) {
+                tokens.push({ type: char === brackets.open ? 'open' : 'close', value: char, start: i, end: i + 1 });
+                i++;
+            } else if (/\s/.test(char)) {
+                i++;
+            } else if (char === '"') {
+                // Quoted text may contain spaces and brackets; \" and \\ are escapes
+                const start = i;
+                let value = '';
+                i++;
+                while (i < notation.length && notation[i] !== '"') {
+                    if (notation[i] === '\\' && i + 1 < notation.length) {
+                        i++;
+                    }
+                    value += notation[i];
+                    i++;
+                }
+                if (i >= notation.length) {
+                    throw new BracketParseError('Unterminated quoted label', notation, start, notation.length);
+                }
+                i++; // skip closing quote
+                tokens.push({ type: 'text', value, start, end: i, literal: true });
+            } else {
+                // Read a token until whitespace, bracket or quote; a backslash escapes the next character
+                const start = i;
+                const literal = char === '\\';
+                let value = '';
+                while (i < notation.length && !isDelimiter(notation[i])) {
+                    if (notation[i] === '\\') {
+                        if (i + 1 >= notation.length) {
+                            throw new BracketParseError('Backslash at end of input', notation, i);
+                        }
+                        i++;
+                    }
+                    value += notation[i];
+                    i++;
+                }
+                tokens.push({ type: 'text', value, start, end: i, literal });
+            }
+        }
+
+        return tokens;
+    }
+
+    parseExpression(tokens, pos) {
+        const notation = this.notation || '';
+        const open = tokens[pos];
+
+        if (!open || open.type !== 'open') {
+            const offset = open ? open.start : notation.length;
+            throw new BracketParseError(`Expected an opening bracket${open ? ` but found "${open.value}"` : ''}`, notation, offset, open ? open.end : offset);
+        }
+
+        pos++; // skip opening bracket
+
+        if (pos >= tokens.length) {
+            throw new BracketParseError('Unexpected end of input: expected a label', notation, notation.length);
+        }
+
+        // Penn Treebank wraps sentences in an unlabelled bracket: ( (S ...) )
+        let label = '';
+        let roof = false;
+        if (tokens[pos].type === 'text') {
+            label = tokens[pos].value;
+            // A caret on the label (^NP or NP^) marks a roof, as in syntree; a quoted or escaped one (\^max) stays superscript markup
+            if (!tokens[pos].literal && label.length > 1 && (label.startsWith('^') || label.endsWith('^'))) {
+                label = label.startsWith('^') ? label.slice(1) : label.slice(0, -1);
+                roof = true;
+            }
+            pos++;
+        } else if (tokens[pos].type === 'close') {
+            throw new BracketParseError('Empty brackets: expected a label', notation, open.start, tokens[pos].end);
+        }
+
+        let children = [];
+        let leafText = [];
+        // Children and leaf tokens in the order written, for [Adj un- [Adj happy]]
+        const items = [];
+
+        // Parse children and/or leaf tokens
+        while (pos < tokens.length && tokens[pos].type !== 'close') {
+            if (tokens[pos].type === 'open') {
+                // Parse child expression
+                const [childStructure, newPos] = this.parseExpression(tokens, pos);
+                children.push(childStructure);
+                items.push(childStructure);
+                pos = newPos;
+            } else if (!tokens[pos].literal && tokens[pos].value.startsWith('^') && children.length === 0 && leafText.length === 0) {
+                // A caret before the contents ([NP ^the big dog]) also marks a roof
+                roof = true;
+                if (tokens[pos].value.length > 1) leafText.push(tokens[pos].value.slice(1));
+                pos++;
+            } else {
+                // Leaf token
+                leafText.push(tokens[pos].value);
+                items.push(tokens[pos]);
+                pos++;
+            }
+        }
+
+        // Leaves beside brackets, or written as affixes, become word children in place
+        const hasAffix = items.some(item => this.readMorpheme(item));
+        if (hasAffix || (children.length > 0 && leafText.length > 0)) {
+            children = this.wordChildren(items);
+            leafText = [];
+        }
+
+        // A leaf written with a subscript or features (dog_i) keeps them on its word, as does a root morpheme
+        if (leafText.length > 0) {
+            const word = this.readLabelFields(this.plainWord(leafText.join(' ')));
+            if (word.subscript || word.features || word.morph) {
+                children = [word];
+                leafText = [];
+            }
+        }
+
+        if (pos >= tokens.length) {
+            throw new BracketParseError('Unclosed bracket: expected a closing bracket before end of input', notation, open.start, open.end);
+        }
+
+        pos++; // skip closing bracket
+
+        if (!label) {
+            if (children.length === 1 && leafText.length === 0) {
+                return [children[0], pos];
+            }
+            throw new BracketParseError('Missing label', notation, open.start, tokens[pos - 1].end);
+        }
+
+        const structure = this.readLabelFields({
+            label: label,
+            children: children.length > 0 ? children : null,
+            leafText: leafText.length > 0 ? leafText : null
+        });
+        if (roof) structure.roof = true;
+        if (this.morphemes) structure.family = 'morphology';
+
+        return [structure, pos];
+    }
+
+    readMorpheme(item) {
+        return this.morphemes && item.type === 'text' && !item.literal ? readMorphemeToken(item.value) : null;
+    }
+
+    // A leaf that is not an affix; in morphology input it is the root
+    plainWord(label) {
+        return this.morphemes ? { label, word: true, morph: 'root' } : { label, word: true };
+    }
+
+    readLabelFields(structure) {
+        const fields = this.labelFields && !MORPHEME_MARKS[structure.morph] ? splitLabelFields(structure.label) : null;
+        return fields ? { ...structure, ...fields } : structure;
+    }
+
+    // Consecutive plain tokens still make one word; each affix is its own morpheme
+    wordChildren(items) {
+        const children = [];
+        let words = null;
+        items.forEach(item => {
+            const morpheme = this.readMorpheme(item);
+            if (item.type !== 'text') {
+                children.push(item);
+                words = null;
+            } else if (morpheme) {
+                children.push({ ...morpheme, word: true });
+                words = null;
+            } else if (words) {
+                words.label += ` ${item.value}`;
+            } else {
+                words = this.plainWord(item.value);
+                children.push(words);
+            }
+        });
+        return children.map(child => child.word ? this.readLabelFields(child) : child);
+    }
+}
+
+// Quote a label for bracket notation when it would not survive tokenizing as-is
+function quoteBracketLabel(label, allowSpaces = false) {
+    const unsafe = allowSpaces ? /["\\[\]]|^\^|\^$/ : /[\s"\\[\]]|^\^|\^$/;
+    // A plain word like un- or -ness would come back as an affix
+    if (label && !unsafe.test(label) && !label.split(/\s+/).some(readMorphemeToken)) return label;
+    return `"${label.replace(/[\\"]/g, char => `\\${char}`)}"`;
+}
+
+// A node's own subscript and feature bundle, written after its label in bracket notation
+function formatLabelFields(node) {
+    let fields = '';
+    if (node.subscript) {
+        fields += [...node.subscript].every(char => LABEL_SCRIPT_CHAR.test(char)) ? `_${node.subscript}` : `_{${node.subscript}}`;
+    }
+    if (node.features) fields += `[${node.features}]`;
+    return fields;
+}
+
+// Split those fields back off a label: DP_i, T_{past}[+3sg]. An escaped \_ stays in the label
+function splitLabelFields(label) {
+    const match = label.match(/^(.*?[^\\])(?:_\{([^{}]+)\}|_([^\s_^'[\]{}\\]+))?(?:\[([^[\]]+)\])?$/);
+    if (!match || !(match[2] || match[3] || match[4])) return null;
+    const fields = { label: match[1] };
+    if (match[2] || match[3]) fields.subscript = match[2] || match[3];
+    if (match[4]) fields.features = match[4];
+    return fields;
+}
+
+// TREEBANK FORMATS
+
+// Penn Treebank labels carry function tags and a coindex: NP-SBJ-1. Labels that
+// start with a hyphen (-NONE-, -LRB-) are tags in their own right.
+function readTreebankLabel(text) {
+    if (text.startsWith('-')) return { label: text, functionTags: null, index: null };
+
+    const parts = text.split('-');
+    const index = parts.length > 1 && /^\d+$/.test(parts[parts.length - 1]) ? parts.pop() : null;
+    const [label, ...tags] = parts;
+    if (!label) return { label: text, functionTags: null, index: null };
+    return { label, functionTags: tags.filter(Boolean).join('-') || null, index };
+}
+
+// Parentheses inside words are written -LRB- and -RRB- in the treebank
+function escapeTreebankToken(token) {
+    return token.replace(/\(/g, '-LRB-').replace(/\)/g, '-RRB-');
+}
+
+class TreebankFormat {
+    // One sentence per top-level tree: ( (S ...) ) or (ROOT (S ...))
+    parse(text) {
+        const parser = new BracketNotationParser({ dialect: 'round', morphemes: false, labelFields: false });
+        return parser.parseForest(text).map(structure => {
+            const sentence = structure.label === 'ROOT' || structure.label === 'TOP' ? structure.children || [structure] : [structure];
+            const structures = sentence.map(s => this.readStructure(s));
+            return { id: null, text: structures.map(s => this.getWords(s)).flat().join(' '), structures };
+        });
+    }
+
+    readStructure(structure) {
+        if (structure.word) return structure;
+
+        const { label, functionTags, index } = readTreebankLabel(structure.label);
+        const result = {
+            ...structure,
+            label,
+            children: structure.children ? structure.children.map(child => this.readStructure(child)) : null
+        };
+        if (functionTags) result.functionTags = functionTags;
+        if (index) result.subscript = index;
+
+        // Empty elements keep their index on the word: (-NONE- *T*-1)
+        if (label === '-NONE-' && structure.leafText) {
+            const trace = /^(.*\S)-(\d+)$/.exec(structure.leafText.join(' '));
+            if (trace) {
+                result.leafText = null;
+                result.children = [{ label: trace[1], word: true, subscript: trace[2] }];
+            }
+        }
+        return result;
+    }
+
+    // The sentence as read, without empty elements
+    getWords(structure) {
+        if (structure.word) return [structure.label];
+        if (structure.label === '-NONE-') return [];
+        return [
+            ...(structure.children || []).map(child => this.getWords(child)).flat(),
+            ...(structure.leafText || [])
+        ];
+    }
+}
 
-        const children = [];
-        const leafText = [];
+// Universal Dependencies CoNLL-U: ten tab-separated columns per token, blank
+// lines between sentences. Each token becomes a phrase labelled with its UPOS
+// tag and relation (NOUN-nsubj) over its dependents and its own word.
+class ConlluFormat {
+    parse(text) {
+        const sentences = [];
+        let tokens = [];
+        let comments = {};
+        let offset = 0;
+
+        const finish = () => {
+            if (tokens.length > 0) sentences.push(this.buildSentence(tokens, comments, text));
+            tokens = [];
+            comments = {};
+        };
 
-        // Parse children and/or leaf tokens
-        while (pos < tokens.length && tokens[pos] !== ']') {
-            if (tokens[pos] === '[') {
-                // Parse child expression
-                const [childStructure, newPos] = this.parseExpression(tokens, pos);
-                children.push(childStructure);
-                pos = newPos;
+        text.split('\n').forEach(rawLine => {
+            const line = rawLine.replace(/\r$/, '');
+            if (!line.trim()) {
+                finish();
+            } else if (line.startsWith('#')) {
+                const match = /^#\s*(sent_id|text)\s*=\s*(.*)$/.exec(line);
+                if (match) comments[match[1]] = match[2].trim();
             } else {
-                // Leaf token
-                leafText.push(tokens[pos]);
-                pos++;
+                const columns = line.split('\t');
+                if (columns.length !== 10) {
+                    throw new BracketParseError(`Expected 10 tab-separated columns but found ${columns.length}`, text, offset, offset + line.length);
+                }
+                const [id, form, , upos, , , head, deprel] = columns;
+                // Multiword token ranges (3-4) and empty nodes (8.1) are not part of the tree
+                if (/^\d+$/.test(id)) {
+                    tokens.push({ id: Number(id), form, upos, head, deprel, start: offset, end: offset + line.length });
+                }
+            }
+            offset += rawLine.length + 1;
+        });
+        finish();
+
+        if (sentences.length === 0) {
+            throw new Error('No CoNLL-U sentences found.');
+        }
+        return sentences;
+    }
+
+    buildSentence(tokens, comments, text) {
+        const byId = new Map(tokens.map(token => [token.id, token]));
+
+        tokens.forEach(token => {
+            if (!/^\d+$/.test(token.head) || (token.head !== '0' && !byId.has(Number(token.head)))) {
+                throw new BracketParseError(`Token ${token.id} has head "${token.head}", which is not a token in this sentence`, text, token.start, token.end);
+            }
+        });
+
+        tokens.forEach(token => {
+            const seen = new Set();
+            for (let current = token; current.head !== '0'; current = byId.get(Number(current.head))) {
+                if (seen.has(current.id)) {
+                    throw new BracketParseError(`Token ${token.id} is part of a cycle of heads`, text, token.start, token.end);
+                }
+                seen.add(current.id);
+            }
+        });
+
+        const toStructure = token => {
+            const items = [...tokens.filter(t => Number(t.head) === token.id), token].sort((a, b) => a.id - b.id);
+            const structure = {
+                label: token.upos && token.upos !== '_' ? token.upos : 'X',
+                children: items.map(item => item === token ? { label: token.form, word: true } : toStructure(item)),
+                leafText: null
+            };
+            if (token.deprel && token.deprel !== '_') structure.functionTags = token.deprel;
+            return structure;
+        };
+
+        return {
+            id: comments.sent_id || null,
+            text: comments.text || tokens.map(token => token.form).join(' '),
+            structures: tokens.filter(token => token.head === '0').map(toStructure)
+        };
+    }
+}
+
+// SENTENCE PARSER
+
+// Example grammar offered the first time; students edit it in the "Start from sentence" dialog
+const DEFAULT_GRAMMAR = {
+    rules: [
+        'S -> NP VP',
+        'NP -> Det N | Det AP N | N | NP PP',
+        'AP -> Adj | Adj AP',
+        'VP -> V | V NP | VP PP',
+        'PP -> P NP'
+    ].join('\n'),
+    lexicon: [
+        'Det: the a',
+        'N: dog cat man park telescope Mary John',
+        'V: saw chased slept barked',
+        'Adj: big small old',
+        'P: in with on'
+    ].join('\n')
+};
+
+// More parses than this are not worth choosing between
+const MAX_PARSES = 20;
+
+// Words only: punctuation is left out, apostrophes and hyphens stay inside words
+function tokenizeSentence(sentence) {
+    return sentence.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+}
+
+// Exhaustive top-down chart parser over a small context-free grammar. Rules
+// read "S -> NP VP | VP", one left-hand side per line; lexicon lines read
+// "N: dog cat". Results use the same structure as BracketNotationParser.
+class PhraseStructureParser {
+    constructor(rulesText, lexiconText) {
+        this.rules = new Map();
+        this.lexicon = new Map();
+        this.start = null;
+        this.readRules(rulesText);
+        this.readLexicon(lexiconText);
+    }
+
+    readRules(text) {
+        text.split('\n').forEach((line, i) => {
+            const trimmed = line.replace(/#.*/, '').trim();
+            if (!trimmed) return;
+
+            const match = /^(\S+)\s*->\s*(.+)$/.exec(trimmed);
+            if (!match) {
+                throw new Error(`Rule line ${i + 1}: expected "Category -> Category ...", got "${trimmed}".`);
+            }
+
+            const [, lhs, rhs] = match;
+            const expansions = rhs.split('|').map(alt => alt.trim().split(/\s+/).filter(Boolean));
+            if (expansions.some(expansion => expansion.length === 0)) {
+                throw new Error(`Rule line ${i + 1}: empty alternative for "${lhs}".`);
+            }
+
+            if (!this.start) this.start = lhs;
+            this.rules.set(lhs, [...(this.rules.get(lhs) || []), ...expansions]);
+        });
+
+        if (!this.start) throw new Error('The grammar has no rules.');
+    }
+
+    readLexicon(text) {
+        text.split('\n').forEach((line, i) => {
+            const trimmed = line.replace(/#.*/, '').trim();
+            if (!trimmed) return;
+
+            const match = /^(\S+)\s*:\s*(.+)$/.exec(trimmed);
+            if (!match) {
+                throw new Error(`Lexicon line ${i + 1}: expected "Category: word word ...", got "${trimmed}".`);
             }
+
+            const [, category, words] = match;
+            words.split(/[\s,]+/).filter(Boolean).forEach(word => {
+                const key = word.toLowerCase();
+                const categories = this.lexicon.get(key) || [];
+                if (!categories.includes(category)) categories.push(category);
+                this.lexicon.set(key, categories);
+            });
+        });
+    }
+
+    parse(tokens, limit = MAX_PARSES) {
+        const unknown = tokens.filter(token => !this.lexicon.has(token.toLowerCase()));
+        if (unknown.length > 0) {
+            throw new Error(`Not in the lexicon: ${Array.from(new Set(unknown)).join(', ')}.`);
         }
 
-        if (pos >= tokens.length || tokens[pos] !== ']') {
-            throw new Error(`Expected ']' at position ${pos}.`);
+        this.tokens = tokens;
+        this.limit = limit;
+        this.chart = new Map();
+        this.active = new Set();
+        return this.parseSpan(this.start, 0, tokens.length);
+    }
+
+    // Every tree for category over tokens[i..j)
+    parseSpan(category, i, j) {
+        const key = `${category} ${i} ${j}`;
+        if (this.chart.has(key)) return this.chart.get(key);
+        // A unary cycle (A -> B, B -> A) would recurse forever
+        if (this.active.has(key)) return [];
+        this.active.add(key);
+
+        const trees = [];
+        if (j === i + 1 && this.lexicon.get(this.tokens[i].toLowerCase()).includes(category)) {
+            trees.push({ label: category, children: null, leafText: [this.tokens[i]] });
         }
 
-        pos++; // skip ']'
+        (this.rules.get(category) || []).forEach(expansion => {
+            this.parseSequence(expansion, 0, i, j).forEach(children => {
+                if (trees.length < this.limit) trees.push({ label: category, children, leafText: null });
+            });
+        });
 
-        return [
-            {
-                label: label,
-                children: children.length > 0 ? children : null,
-                leafText: leafText.length > 0 ? leafText : null
+        this.active.delete(key);
+        this.chart.set(key, trees);
+        return trees;
+    }
+
+    // Every way to cover tokens[i..j) with expansion[k..]
+    parseSequence(expansion, k, i, j) {
+        if (k === expansion.length) return i === j ? [[]] : [];
+
+        const sequences = [];
+        const remaining = expansion.length - k - 1;
+        for (let mid = i + 1; mid <= j - remaining; mid++) {
+            const heads = this.parseSpan(expansion[k], i, mid);
+            if (heads.length === 0) continue;
+
+            const rests = this.parseSequence(expansion, k + 1, mid, j);
+            for (const head of heads) {
+                for (const rest of rests) {
+                    if (sequences.length >= this.limit) return sequences;
+                    sequences.push([head, ...rest]);
+                }
+            }
+        }
+        return sequences;
+    }
+}
+
+// Compact bracket notation for showing a parse structure
+function structureToBracketNotation(structure) {
+    if (structure.word) {
+        return MORPHEME_MARKS[structure.morph] ? formatMorpheme(structure.label, structure.morph) : quoteBracketLabel(structure.label, true);
+    }
+    const inside = structure.children
+        ? structure.children.map(structureToBracketNotation).join(' ')
+        : (structure.leafText || []).map(word => quoteBracketLabel(word)).join(' ');
+    return `[${quoteBracketLabel(structure.label)}${inside ? ` ${inside}` : ''}]`;
+}
+
+// MORPHOLOGY
+
+const MORPHEME_ROLES = ['root', 'prefix', 'suffix', 'infix'];
+
+// Affixes are hyphenated on the side that attaches to the base; infixes go in angle brackets (Leipzig rule 9)
+const MORPHEME_MARKS = { prefix: ['', '-'], suffix: ['-', ''], infix: ['<', '>'] };
+
+function formatMorpheme(label, morph) {
+    const [before, after] = MORPHEME_MARKS[morph] || ['', ''];
+    return `${before}${label}${after}`;
+}
+
+// Bracket leaves written as affixes: un- is a prefix, -ness a suffix, <um> an infix
+function readMorphemeToken(text) {
+    if (/^\p{L}(\S*\p{L})?-$/u.test(text)) {
+        return { label: text.slice(0, -1), morph: 'prefix' };
+    }
+    if (/^-\p{L}(\S*\p{L})?$/u.test(text)) {
+        return { label: text.slice(1), morph: 'suffix' };
+    }
+    if (/^<[^<>\s]+>$/.test(text)) {
+        return { label: text.slice(1, -1), morph: 'infix' };
+    }
+    return null;
+}
+
+// A starting point for segmenting English words; the user corrects it in the dialog
+const ENGLISH_PREFIXES = ['counter', 'under', 'inter', 'over', 'anti', 'dis', 'mis', 'non', 'pre', 're', 'un', 'in', 'im'];
+const ENGLISH_SUFFIXES = ['ation', 'ness', 'ment', 'able', 'ible', 'less', 'ful', 'ity', 'ize', 'ise', 'ing', 'ous', 'ive', 'est', 'er', 'ed', 'ly', 'al', 's'];
+const MIN_ROOT_LENGTH = 3;
+
+function suggestSegmentation(word) {
+    let stem = word.trim();
+    const prefixes = [];
+    const suffixes = [];
+
+    // Each affix is stripped once, so "rereadable" keeps the "re" of "read"
+    const used = new Set();
+    const strip = (affixes, atStart) => affixes.find(affix => {
+        const matches = atStart ? stem.toLowerCase().startsWith(affix) : stem.toLowerCase().endsWith(affix);
+        return matches && !used.has(affix) && stem.length - affix.length >= MIN_ROOT_LENGTH;
+    });
+
+    let affix;
+    while ((affix = strip(ENGLISH_PREFIXES, true))) {
+        used.add(affix);
+        prefixes.push(stem.slice(0, affix.length));
+        stem = stem.slice(affix.length);
+    }
+    while ((affix = strip(ENGLISH_SUFFIXES, false))) {
+        used.add(affix);
+        suffixes.unshift(stem.slice(stem.length - affix.length));
+        stem = stem.slice(0, stem.length - affix.length);
+    }
+
+    return [...prefixes, stem, ...suffixes].join('-');
+}
+
+// "un-happi-ness" in Leipzig style; an infix comes right after the morpheme it sits in (s<um>ulat: sulat, um)
+function splitMorphemes(text) {
+    const morphemes = [];
+    text.trim().split('-').forEach(piece => {
+        const infixes = [];
+        const host = piece.replace(/<([^<>]*)>/g, (match, infix) => {
+            infixes.push(infix.trim());
+            return '';
+        });
+        morphemes.push({ form: host.trim(), infix: false });
+        infixes.forEach(form => morphemes.push({ form, infix: true }));
+    });
+    return morphemes;
+}
+
+// Binary-branching word tree, built outward from the root. Categories are given
+// per morpheme in segmentation order: the root's own category, then the category
+// each affix forms. Result uses the same structure as BracketNotationParser.
+function buildMorphologyStructure(segmentation, { gloss = '', categories = '', prefixesFirst = true } = {}) {
+    const morphemes = splitMorphemes(segmentation);
+    if (morphemes.some(m => !m.form || m.form === '√')) {
+        throw new Error('Every morpheme needs a form; check for doubled or trailing hyphens.');
+    }
+
+    const glosses = gloss.trim() ? splitMorphemes(gloss) : [];
+    if (glosses.length > 0 && glosses.length !== morphemes.length) {
+        throw new Error(`The gloss has ${glosses.length} parts but the word has ${morphemes.length} morphemes.`);
+    }
+
+    const labels = categories.trim().split(/\s+/).filter(Boolean);
+    if (labels.length > morphemes.length) {
+        throw new Error(`There are ${labels.length} categories for ${morphemes.length} morphemes.`);
+    }
+
+    // The root is marked with √, or else it is the longest morpheme that is not an infix
+    let rootIndex = morphemes.findIndex(m => !m.infix && m.form.startsWith('√'));
+    if (rootIndex === -1) {
+        morphemes.forEach((m, i) => {
+            if (!m.infix && (rootIndex === -1 || m.form.length > morphemes[rootIndex].form.length)) rootIndex = i;
+        });
+    } else {
+        morphemes[rootIndex].form = morphemes[rootIndex].form.slice(1);
+    }
+    if (rootIndex === -1) throw new Error('The word has no root, only infixes.');
+
+    const roles = morphemes.map((m, i) => {
+        if (i === rootIndex) return 'root';
+        if (m.infix) return 'infix';
+        return i < rootIndex ? 'prefix' : 'suffix';
+    });
+
+    const word = i => {
+        const structure = { label: morphemes[i].form, word: true, morph: roles[i] };
+        if (glosses[i] && glosses[i].form) structure.gloss = glosses[i].form;
+        return structure;
+    };
+
+    const infixes = roles.map((role, i) => i).filter(i => roles[i] === 'infix');
+    const prefixes = roles.map((role, i) => i).filter(i => roles[i] === 'prefix').reverse();
+    const suffixes = roles.map((role, i) => i).filter(i => roles[i] === 'suffix');
+    const order = [...infixes, ...(prefixesFirst ? [...prefixes, ...suffixes] : [...suffixes, ...prefixes])];
+
+    let base = { label: labels[rootIndex] || 'Root', family: 'morphology', children: [word(rootIndex)], leafText: null };
+    order.forEach(i => {
+        const affix = word(i);
+        base = {
+            label: labels[i] || base.label,
+            family: 'morphology',
+            children: roles[i] === 'suffix' ? [base, affix] : [affix, base],
+            leafText: null
+        };
+    });
+    return base;
+}
+
+// Leipzig grammatical abbreviations (NEG, 3SG, NMLZ) are set in small caps
+// Glosses are drawn in a line of their own under the morpheme
+const GLOSS_LINE_HEIGHT = 18;
+
+function hasGloss(node) {
+    return node.type === 'WORD' && Boolean(node.gloss);
+}
+
+function getGlossParts(gloss) {
+    return gloss.split(/\b([123][A-Z]*|[A-Z]{2,}[0-9]*)\b/)
+        .map((text, i) => ({ text: i % 2 === 1 ? text.toLowerCase() : text, abbreviation: i % 2 === 1 }))
+        .filter(part => part.text);
+}
+
+// TREE DOCUMENT FORMAT
+
+const TREE_DOCUMENT_FORMAT = 'syntax-morphology-tree';
+// Version 2 added explicit child order (edge "index"); version 1 files are ordered by x-position.
+// Version 3 added movement arrows.
+// Version 4 added dependency mode and relation labels on edges.
+// Version 5 added locked nodes and assignments (a task's answer keys and tolerances).
+// Version 6 stores the answer keys encoded rather than as readable JSON.
+const TREE_DOCUMENT_VERSION = 6;
+
+// Answer keys are base64 so a student who opens a task file or autosave doesn't read them
+// at a glance. This hides them, it does not protect them: anyone can decode base64
+function encodeAnswerKeys(keys) {
+    let binary = '';
+    new TextEncoder().encode(JSON.stringify(keys)).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function decodeAnswerKeys(text) {
+    try {
+        const bytes = Uint8Array.from(atob(text), char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error('Assignment answer keys could not be decoded.');
+    }
+}
+
+class TreeDocumentFormat {
+    // Layout fields live in their own section so node records only carry content
+    serialize(model, palette = null, assignment = null) {
+        const positions = {};
+        const nodes = model.nodes.map(node => {
+            const { x, y, width, height, ...content } = node;
+            positions[node.id] = { x, y, width, height };
+            return content;
+        });
+
+        const data = {
+            format: TREE_DOCUMENT_FORMAT,
+            version: TREE_DOCUMENT_VERSION,
+            savedAt: new Date().toISOString(),
+            mode: model.mode,
+            nodes,
+            edges: model.edges.map(e => ({ ...e })),
+            movements: model.movements.map(m => ({ ...m })),
+            layout: {
+                positions,
+                nextNodeId: model.nextNodeId,
+                nextEdgeId: model.nextEdgeId,
+                nextMovementId: model.nextMovementId
             },
-            pos
-        ];
+            sidebar: {
+                palette: palette ? { name: palette.name, blocks: palette.blocks.map(b => ({ ...b })) } : null
+            }
+        };
+        if (assignment) {
+            // Answer keys are compared by structure, so their positions are left out
+            data.assignment = {
+                sentence: assignment.sentence,
+                tolerance: { ...assignment.tolerance },
+                keys: encodeAnswerKeys(assignment.keys.map(key => ({
+                    nodes: key.nodes.map(({ x, y, width, height, ...content }) => content),
+                    edges: key.edges.map(e => ({ ...e }))
+                })))
+            };
+        }
+        return data;
+    }
+
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`File is not valid JSON (${error.message}).`);
+        }
+        return data;
+    }
+
+    // Check a parsed document and convert it to a model snapshot
+    validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Document must be a JSON object.');
+        }
+        if (data.format === undefined && data.model && typeof data.model === 'object') {
+            data = this.fromLegacySnapshot(data);
+        }
+        if (data.format !== TREE_DOCUMENT_FORMAT) {
+            throw new Error(`Unrecognised document format "${data.format}"; expected "${TREE_DOCUMENT_FORMAT}".`);
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('Document is missing a valid schema version.');
+        }
+        if (data.version > TREE_DOCUMENT_VERSION) {
+            throw new Error(`Document uses schema version ${data.version}, but this editor only supports up to version ${TREE_DOCUMENT_VERSION}. Please update the editor.`);
+        }
+        if (!Array.isArray(data.nodes)) {
+            throw new Error('Document "nodes" must be an array.');
+        }
+        if (!Array.isArray(data.edges)) {
+            throw new Error('Document "edges" must be an array.');
+        }
+
+        const layout = data.layout || {};
+        const positions = layout.positions || {};
+        const nodeIds = new Set();
+
+        const nodes = data.nodes.map((node, i) => {
+            if (!node || typeof node.id !== 'string' || !node.id) {
+                throw new Error(`Node ${i} is missing a string "id".`);
+            }
+            if (nodeIds.has(node.id)) {
+                throw new Error(`Duplicate node id "${node.id}".`);
+            }
+            if (typeof node.label !== 'string') {
+                throw new Error(`Node "${node.id}" is missing a string "label".`);
+            }
+            if (node.type !== 'CAT' && node.type !== 'WORD') {
+                throw new Error(`Node "${node.id}" has unknown type "${node.type}"; expected "CAT" or "WORD".`);
+            }
+            if (node.family !== undefined && node.family !== 'syntax' && node.family !== 'morphology') {
+                throw new Error(`Node "${node.id}" has unknown family "${node.family}"; expected "syntax" or "morphology".`);
+            }
+            ['subscript', 'features', 'functionTags', 'notes', 'gloss'].forEach(key => {
+                if (node[key] !== undefined && typeof node[key] !== 'string') {
+                    throw new Error(`Node "${node.id}" has a non-text "${key}".`);
+                }
+            });
+            ['roof', 'collapsed', 'locked'].forEach(key => {
+                if (node[key] !== undefined && typeof node[key] !== 'boolean') {
+                    throw new Error(`Node "${node.id}" has a non-boolean "${key}".`);
+                }
+            });
+            if (node.morph !== undefined && !MORPHEME_ROLES.includes(node.morph)) {
+                throw new Error(`Node "${node.id}" has unknown morpheme role "${node.morph}"; expected one of ${MORPHEME_ROLES.join(', ')}.`);
+            }
+            if (node.color !== undefined && !isHexColor(node.color)) {
+                throw new Error(`Node "${node.id}" has an invalid color "${node.color}"; expected #rrggbb.`);
+            }
+            nodeIds.add(node.id);
+
+            const pos = positions[node.id] || {};
+            ['x', 'y', 'width', 'height'].forEach(key => {
+                if (pos[key] !== undefined && !Number.isFinite(pos[key])) {
+                    throw new Error(`Layout for node "${node.id}" has a non-numeric "${key}".`);
+                }
+            });
+
+            return {
+                ...node,
+                x: pos.x !== undefined ? pos.x : 100,
+                y: pos.y !== undefined ? pos.y : 100,
+                width: pos.width !== undefined ? pos.width : 100,
+                height: pos.height !== undefined ? pos.height : 40
+            };
+        });
+
+        const edgeIds = new Set();
+        const childIds = new Set();
+        const edges = data.edges.map((edge, i) => {
+            if (!edge || typeof edge.id !== 'string' || !edge.id) {
+                throw new Error(`Edge ${i} is missing a string "id".`);
+            }
+            if (edgeIds.has(edge.id)) {
+                throw new Error(`Duplicate edge id "${edge.id}".`);
+            }
+            if (!nodeIds.has(edge.parentId)) {
+                throw new Error(`Edge "${edge.id}" refers to unknown parent node "${edge.parentId}".`);
+            }
+            if (!nodeIds.has(edge.childId)) {
+                throw new Error(`Edge "${edge.id}" refers to unknown child node "${edge.childId}".`);
+            }
+            if (childIds.has(edge.childId)) {
+                throw new Error(`Node "${edge.childId}" has more than one parent.`);
+            }
+            if (edge.relation !== undefined && typeof edge.relation !== 'string') {
+                throw new Error(`Edge "${edge.id}" has a non-text "relation".`);
+            }
+            edgeIds.add(edge.id);
+            childIds.add(edge.childId);
+            return { ...edge };
+        });
+
+        this.checkAcyclic(edges);
+        this.normalizeChildOrder(edges, nodes, data.version);
+
+        if (data.movements !== undefined && !Array.isArray(data.movements)) {
+            throw new Error('Document "movements" must be an array.');
+        }
+        const movementIds = new Set();
+        const movements = (data.movements || []).map((movement, i) => {
+            if (!movement || typeof movement.id !== 'string' || !movement.id) {
+                throw new Error(`Movement ${i} is missing a string "id".`);
+            }
+            if (movementIds.has(movement.id)) {
+                throw new Error(`Duplicate movement id "${movement.id}".`);
+            }
+            if (!nodeIds.has(movement.fromId) || !nodeIds.has(movement.toId)) {
+                throw new Error(`Movement "${movement.id}" refers to an unknown node.`);
+            }
+            if (movement.fromId === movement.toId) {
+                throw new Error(`Movement "${movement.id}" starts and ends at the same node.`);
+            }
+            movementIds.add(movement.id);
+            return { ...movement };
+        });
+
+        if (data.mode !== undefined && data.mode !== 'constituency' && data.mode !== 'dependency') {
+            throw new Error(`Unknown tree mode "${data.mode}"; expected "constituency" or "dependency".`);
+        }
+
+        const palette = this.validatePalette(data.sidebar || {});
+        const assignment = this.validateAssignment(data.assignment, data.version);
+
+        return {
+            model: {
+                nodes,
+                edges,
+                movements,
+                mode: data.mode || 'constituency',
+                nextNodeId: Math.max(layout.nextNodeId || 1, this.nextIdAfter(nodeIds, 'node-')),
+                nextEdgeId: Math.max(layout.nextEdgeId || 1, this.nextIdAfter(edgeIds, 'edge-')),
+                nextMovementId: Math.max(layout.nextMovementId || 1, this.nextIdAfter(movementIds, 'move-'))
+            },
+            palette,
+            assignment
+        };
+    }
+
+    // Each answer key is checked like a document of its own
+    validateAssignment(assignment, version) {
+        if (assignment === undefined || assignment === null) return null;
+        if (typeof assignment !== 'object' || Array.isArray(assignment)) {
+            throw new Error('Document "assignment" must be an object.');
+        }
+        if (typeof assignment.sentence !== 'string') {
+            throw new Error('Assignment is missing its "sentence".');
+        }
+        // Version 5 wrote the keys as plain JSON
+        const answerKeys = version >= 6 && typeof assignment.keys === 'string' ? decodeAnswerKeys(assignment.keys) : assignment.keys;
+        if (!Array.isArray(answerKeys) || answerKeys.length === 0) {
+            throw new Error('Assignment must have at least one answer key.');
+        }
+        const tolerance = assignment.tolerance || {};
+        ['ignoreLabels', 'allowUnary'].forEach(key => {
+            if (tolerance[key] !== undefined && typeof tolerance[key] !== 'boolean') {
+                throw new Error(`Assignment tolerance "${key}" must be true or false.`);
+            }
+        });
+
+        const keys = answerKeys.map((key, i) => {
+            try {
+                const { model } = this.validate({ format: TREE_DOCUMENT_FORMAT, version, nodes: key && key.nodes, edges: key && key.edges });
+                return model;
+            } catch (error) {
+                throw new Error(`Answer key ${i + 1}: ${error.message}`);
+            }
+        });
+
+        return {
+            sentence: assignment.sentence,
+            tolerance: { ignoreLabels: Boolean(tolerance.ignoreLabels), allowUnary: Boolean(tolerance.allowUnary) },
+            keys
+        };
+    }
+
+    // Autosaves and saved trees from before the document format stored { model, customBlocks },
+    // with positions on the nodes; they read as version 1 documents
+    fromLegacySnapshot({ model, customBlocks }) {
+        const positions = {};
+        const nodes = (Array.isArray(model.nodes) ? model.nodes : []).map(node => {
+            if (!node || typeof node !== 'object') return node;
+            const { x, y, width, height, ...content } = node;
+            positions[node.id] = { x, y, width, height };
+            return content;
+        });
+        return {
+            format: TREE_DOCUMENT_FORMAT,
+            version: 1,
+            nodes,
+            edges: model.edges,
+            layout: { positions, nextNodeId: model.nextNodeId, nextEdgeId: model.nextEdgeId },
+            sidebar: { customBlocks }
+        };
+    }
+
+    // Older documents list loose custom blocks instead of a named palette
+    validatePalette(sidebar) {
+        const paletteFormat = new PaletteFormat();
+        if (sidebar.palette) {
+            if (typeof sidebar.palette.name !== 'string' || !sidebar.palette.name.trim()) {
+                throw new Error('Sidebar palette is missing a "name".');
+            }
+            if (!Array.isArray(sidebar.palette.blocks)) {
+                throw new Error('Sidebar palette "blocks" must be an array.');
+            }
+            return { name: sidebar.palette.name.trim(), blocks: paletteFormat.validateBlocks(sidebar.palette.blocks) };
+        }
+        if (Array.isArray(sidebar.customBlocks) && sidebar.customBlocks.length > 0) {
+            return { name: null, blocks: paletteFormat.validateBlocks(sidebar.customBlocks) };
+        }
+        return null;
+    }
+
+    normalizeChildOrder(edges, nodes, version) {
+        const byParent = new Map();
+        edges.forEach(edge => {
+            if (version >= 2 && (!Number.isInteger(edge.index) || edge.index < 0)) {
+                throw new Error(`Edge "${edge.id}" is missing a valid child "index".`);
+            }
+            if (!byParent.has(edge.parentId)) byParent.set(edge.parentId, []);
+            byParent.get(edge.parentId).push(edge);
+        });
+
+        const xOf = id => nodes.find(n => n.id === id).x;
+        byParent.forEach(siblings => {
+            if (version < 2) {
+                siblings.sort((a, b) => xOf(a.childId) - xOf(b.childId));
+            } else {
+                siblings.sort((a, b) => a.index - b.index);
+            }
+            siblings.forEach((edge, i) => {
+                edge.index = i;
+            });
+        });
+    }
+
+    checkAcyclic(edges) {
+        const parentOf = new Map(edges.map(e => [e.childId, e.parentId]));
+        parentOf.forEach((_, start) => {
+            const seen = new Set([start]);
+            let current = parentOf.get(start);
+            while (current) {
+                if (seen.has(current)) {
+                    throw new Error(`Edges form a cycle through node "${current}".`);
+                }
+                seen.add(current);
+                current = parentOf.get(current);
+            }
+        });
+    }
+
+    // Keep generated ids from colliding with ids already in the document
+    nextIdAfter(ids, prefix) {
+        let max = 0;
+        ids.forEach(id => {
+            const match = id.startsWith(prefix) && /^\d+$/.test(id.slice(prefix.length));
+            if (match) max = Math.max(max, parseInt(id.slice(prefix.length), 10));
+        });
+        return max + 1;
+    }
+}
+
+// PALETTE FILE FORMAT
+
+const PALETTE_FORMAT = 'syntax-morphology-palette';
+const PALETTE_VERSION = 1;
+
+class PaletteFormat {
+    serialize(palette) {
+        return {
+            format: PALETTE_FORMAT,
+            version: PALETTE_VERSION,
+            name: palette.name,
+            blocks: palette.blocks.map(b => ({ ...b }))
+        };
+    }
+
+    parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`File is not valid JSON (${error.message}).`);
+        }
+    }
+
+    validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Palette must be a JSON object.');
+        }
+        if (data.format !== PALETTE_FORMAT) {
+            throw new Error(`Unrecognised palette format "${data.format}"; expected "${PALETTE_FORMAT}".`);
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('Palette is missing a valid schema version.');
+        }
+        if (data.version > PALETTE_VERSION) {
+            throw new Error(`Palette uses schema version ${data.version}, but this editor only supports up to version ${PALETTE_VERSION}. Please update the editor.`);
+        }
+        if (typeof data.name !== 'string' || !data.name.trim()) {
+            throw new Error('Palette is missing a "name".');
+        }
+        if (!Array.isArray(data.blocks)) {
+            throw new Error('Palette "blocks" must be an array.');
+        }
+
+        return { name: data.name.trim(), blocks: this.validateBlocks(data.blocks) };
+    }
+
+    validateBlocks(blocks) {
+        return blocks.map((block, i) => {
+            if (!block || typeof block.label !== 'string' || !block.label) {
+                throw new Error(`Block ${i} is missing a "label".`);
+            }
+            if (block.family !== 'syntax' && block.family !== 'morphology') {
+                throw new Error(`Block "${block.label}" has unknown family "${block.family}".`);
+            }
+            if (block.color !== undefined && !isHexColor(block.color)) {
+                throw new Error(`Block "${block.label}" has an invalid color "${block.color}"; expected #rrggbb.`);
+            }
+            return { ...block };
+        });
+    }
+}
+
+// VALIDATION SETTINGS FILE FORMAT
+
+const VALIDATION_FORMAT = 'syntax-morphology-rules';
+const VALIDATION_VERSION = 1;
+
+class ValidationSettingsFormat {
+    // Every rule is written out in full, so the file doesn't depend on this editor's defaults
+    serialize(validator) {
+        const rules = {};
+        VALIDATION_RULES.forEach(rule => {
+            rules[rule.id] = validator.getRuleSettings(rule);
+        });
+        return { format: VALIDATION_FORMAT, version: VALIDATION_VERSION, rules };
+    }
+
+    parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`File is not valid JSON (${error.message}).`);
+        }
+    }
+
+    validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Rule settings must be a JSON object.');
+        }
+        if (data.format !== VALIDATION_FORMAT) {
+            throw new Error(`Unrecognised rule settings format "${data.format}"; expected "${VALIDATION_FORMAT}".`);
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('Rule settings are missing a valid schema version.');
+        }
+        if (data.version > VALIDATION_VERSION) {
+            throw new Error(`Rule settings use schema version ${data.version}, but this editor only supports up to version ${VALIDATION_VERSION}. Please update the editor.`);
+        }
+        if (!data.rules || typeof data.rules !== 'object' || Array.isArray(data.rules)) {
+            throw new Error('Rule settings "rules" must be an object.');
+        }
+
+        // Rules this editor doesn't know are skipped; missing ones keep their defaults
+        const settings = {};
+        VALIDATION_RULES.forEach(rule => {
+            const entry = data.rules[rule.id];
+            if (entry === undefined) return;
+            if (!entry || typeof entry !== 'object') {
+                throw new Error(`Rule "${rule.id}" must be an object.`);
+            }
+            if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+                throw new Error(`Rule "${rule.id}" has a non-boolean "enabled".`);
+            }
+            if (entry.severity !== undefined && entry.severity !== 'error' && entry.severity !== 'warning') {
+                throw new Error(`Rule "${rule.id}" has unknown severity "${entry.severity}".`);
+            }
+            settings[rule.id] = {};
+            if (entry.enabled !== undefined) settings[rule.id].enabled = entry.enabled;
+            if (entry.severity !== undefined) settings[rule.id].severity = entry.severity;
+        });
+        return settings;
     }
 }
 
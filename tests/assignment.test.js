@@ -0,0 +1,99 @@
+// Checks that the nodes a task gives survive actions that rebuild the workspace. Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+const alerts = [];
+const context = vm.createContext({ document: { addEventListener() {} }, alert: message => alerts.push(message) });
+vm.runInContext(`${source}\nObject.assign(this, { TreeApp, TreeModel, HistoryManager, UIState });`, context);
+const { TreeApp, TreeModel, HistoryManager, UIState } = context;
+
+// A TreeApp without its page: the import logic runs, drawing and dialogs are no-ops
+function taskApp() {
+    const app = Object.create(TreeApp.prototype);
+    Object.assign(app, {
+        model: new TreeModel(),
+        history: new HistoryManager(),
+        ui: new UIState(),
+        corpus: null,
+        importErrors: [],
+        importText: { value: '' },
+        importDialect: { value: 'auto' },
+        importMerge: { checked: false },
+        alignLeavesToggle: { checked: false },
+        treeModeSelect: { value: 'constituency' }
+    });
+    ['updateUI', 'render', 'closeImportDialog', 'updateCorpusBar', 'autoLayout', 'fitNodeWidth'].forEach(name => {
+        app[name] = () => {};
+    });
+    app.showImportError = error => app.importErrors.push(error.message);
+
+    const s = app.model.createNode('S', 0, 0, 'CAT', { locked: true });
+    const word = app.model.createNode('dogs', 0, 100, 'WORD', { locked: true });
+    app.model.createEdge(s.id, word.id);
+    app.assignment = { sentence: 'dogs', tolerance: {}, keys: [app.model.snapshot()] };
+    return app;
+}
+
+function lockedLabels(app) {
+    return app.model.nodes.filter(n => n.locked).map(n => n.label).join(' ');
+}
+
+function importInto(app, notation, merge) {
+    app.importText.value = notation;
+    app.importMerge.checked = merge;
+    app.onImportConfirm();
+}
+
+test('importing over an open task is refused and keeps the given nodes', () => {
+    const app = taskApp();
+    importInto(app, '[NP the cat]', false);
+
+    assert.strictEqual(lockedLabels(app), 'S dogs');
+    assert.strictEqual(app.model.nodes.length, 2);
+    assert.strictEqual(app.importErrors.length, 1);
+});
+
+test('importing beside an open task keeps the given nodes', () => {
+    const app = taskApp();
+    importInto(app, '[NP the cat]', true);
+
+    assert.strictEqual(lockedLabels(app), 'S dogs');
+    assert.strictEqual(app.model.nodes.length, 4);
+    assert.strictEqual(app.importErrors.length, 0);
+});
+
+test('a file of several sentences is not stepped through in an open task', () => {
+    const app = taskApp();
+    app.importDialect.value = 'ptb';
+    importInto(app, '( (S (NP dogs)) )\n( (S (NP cats)) )', true);
+
+    assert.strictEqual(lockedLabels(app), 'S dogs');
+    assert.strictEqual(app.corpus, null);
+});
+
+test('converting to dependencies is refused in an open task', () => {
+    const app = taskApp();
+    alerts.length = 0;
+    app.treeModeSelect.value = 'dependency';
+    app.onTreeModeChange();
+
+    assert.strictEqual(lockedLabels(app), 'S dogs');
+    assert.strictEqual(app.model.mode, 'constituency');
+    assert.strictEqual(app.treeModeSelect.value, 'constituency');
+    assert.strictEqual(alerts.length, 1);
+});
+
+test('pasted copies of given nodes are not given themselves', () => {
+    const app = taskApp();
+    app.pasteCount = 0;
+    app.storage = { readClipboard: () => app.model.extractFragment(app.model.nodes.map(n => n.id)) };
+    app.pasteClipboard();
+
+    assert.strictEqual(app.model.nodes.length, 4);
+    assert.strictEqual(lockedLabels(app), 'S dogs');
+    assert.strictEqual(app.model.nodes.filter(n => !n.locked).map(n => n.label).join(' '), 'S dogs');
+});
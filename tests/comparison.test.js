@@ -0,0 +1,88 @@
+// Checks that TreeComparison scores agree with the differences it reports. Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+const context = vm.createContext({ document: { addEventListener() {} } });
+vm.runInContext(`${source}\nObject.assign(this, { TreeModel, TreeComparison, BracketNotationParser });`, context);
+const { TreeModel, TreeComparison, BracketNotationParser } = context;
+
+// A model from square brackets, built the way import builds it
+function treeFrom(notation) {
+    const model = new TreeModel();
+    const build = (structure, parentId) => {
+        const node = model.createNode(structure.label, 0, 0, structure.word ? 'WORD' : 'CAT');
+        if (parentId) model.createEdge(parentId, node.id);
+        (structure.children || []).forEach(child => build(child, node.id));
+        if (structure.leafText) build({ label: structure.leafText.join(' '), word: true }, node.id);
+    };
+    build(new BracketNotationParser().parse(notation), null);
+    return model;
+}
+
+// Arrays from the script's context fail deepStrictEqual against local ones, so compare text
+function statuses(comparison) {
+    return comparison.differences.map(d => d.status).join(' ');
+}
+
+function compare(key, answer, options) {
+    return new TreeComparison(treeFrom(key), treeFrom(answer), options);
+}
+
+test('a missing tag under a one-word phrase costs the tag, not the phrase', () => {
+    const comparison = compare('[NP [N dogs]]', '[NP dogs]');
+    const scores = comparison.getScores();
+
+    assert.strictEqual(statuses(comparison), 'missing');
+    assert.strictEqual(scores.matched, 1);
+    assert.strictEqual(scores.keyBrackets, 1);
+    assert.strictEqual(scores.answerBrackets, 1);
+    assert.strictEqual(scores.tagged, 1);
+    assert.strictEqual(scores.taggedCorrectly, 0);
+});
+
+test('an extra level under a key preterminal is an extra bracket', () => {
+    const comparison = compare('[NP dogs]', '[NP [N dogs]]');
+    const scores = comparison.getScores();
+
+    assert.strictEqual(statuses(comparison), 'extra');
+    assert.strictEqual(scores.keyBrackets, 0);
+    assert.strictEqual(scores.answerBrackets, 1);
+    assert.strictEqual(scores.matched, 0);
+    assert.strictEqual(scores.taggedCorrectly, 1);
+});
+
+test('identical trees score perfectly on brackets and tags', () => {
+    const tree = '[S [NP [D the] [N dog]] [VP [V barks]]]';
+    const comparison = compare(tree, tree);
+    const scores = comparison.getScores();
+
+    assert.strictEqual(comparison.differences.length, 0);
+    assert.strictEqual(scores.f1, 1);
+    assert.strictEqual(scores.tagged, 3);
+    assert.strictEqual(scores.taggedCorrectly, 3);
+});
+
+test('identical trees of preterminals only score perfectly', () => {
+    const comparison = compare('[NP dogs]', '[NP dogs]');
+    const scores = comparison.getScores();
+
+    assert.strictEqual(comparison.differences.length, 0);
+    assert.strictEqual(scores.keyBrackets, 0);
+    assert.strictEqual(scores.answerBrackets, 0);
+    assert.strictEqual(scores.precision, 1);
+    assert.strictEqual(scores.recall, 1);
+    assert.strictEqual(scores.f1, 1);
+});
+
+test('a relabelled tag is a tagging error only', () => {
+    const comparison = compare('[S [NP [N dogs]] [VP [V bark]]]', '[S [NP [N dogs]] [VP [N bark]]]');
+    const scores = comparison.getScores();
+
+    assert.strictEqual(statuses(comparison), 'relabelled');
+    assert.strictEqual(scores.f1, 1);
+    assert.strictEqual(scores.taggedCorrectly, 1);
+});
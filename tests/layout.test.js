@@ -0,0 +1,185 @@
+// Checks on TidyTreeLayout for deep and unbalanced trees. Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// script.js is a browser script; the layout needs nothing from the page
+const source = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+const context = vm.createContext({ document: { addEventListener() {} } });
+vm.runInContext(`${source}\nthis.TidyTreeLayout = TidyTreeLayout;`, context);
+const { TidyTreeLayout } = context;
+
+const SIBLING_GAP = 20;
+const EPSILON = 1e-6;
+
+let nextId = 1;
+
+// tree('S', tree('NP'), tree('VP')); width defaults to 100
+function tree(label, ...children) {
+    return { id: `n${nextId++}`, label, width: 100, children };
+}
+
+function wide(width, node) {
+    node.width = width;
+    return node;
+}
+
+function chain(depth, leaf = tree('w')) {
+    let node = leaf;
+    for (let i = 0; i < depth; i++) node = tree(`X${i}`, node);
+    return node;
+}
+
+function layout(root, options = {}) {
+    return new TidyTreeLayout(node => node.children, options).layoutForest([root]);
+}
+
+function allNodes(root) {
+    return [root, ...root.children.flatMap(allNodes)];
+}
+
+function center(positions, node) {
+    return positions[node.id].x + node.width / 2;
+}
+
+// [left, right] of every node in the subtree, by y
+function extents(positions, root) {
+    const levels = new Map();
+    allNodes(root).forEach(node => {
+        const { x, y } = positions[node.id];
+        const [left, right] = levels.get(y) || [Infinity, -Infinity];
+        levels.set(y, [Math.min(left, x), Math.max(right, x + node.width)]);
+    });
+    return levels;
+}
+
+function assertNoOverlap(positions, root) {
+    // Nodes on the same level keep at least the sibling gap between them
+    const byLevel = new Map();
+    allNodes(root).forEach(node => {
+        const { y } = positions[node.id];
+        if (!byLevel.has(y)) byLevel.set(y, []);
+        byLevel.get(y).push(node);
+    });
+    byLevel.forEach(nodes => {
+        nodes.sort((a, b) => positions[a.id].x - positions[b.id].x);
+        for (let i = 1; i < nodes.length; i++) {
+            const gap = positions[nodes[i].id].x - (positions[nodes[i - 1].id].x + nodes[i - 1].width);
+            assert.ok(gap >= SIBLING_GAP - EPSILON, `${nodes[i - 1].label} and ${nodes[i].label} are ${gap}px apart`);
+        }
+    });
+
+    // Sibling subtrees stay side by side, in order, on every level they share
+    allNodes(root).forEach(node => {
+        for (let i = 1; i < node.children.length; i++) {
+            const left = extents(positions, node.children[i - 1]);
+            const right = extents(positions, node.children[i]);
+            left.forEach(([, leftEdge], y) => {
+                if (!right.has(y)) return;
+                assert.ok(right.get(y)[0] - leftEdge >= SIBLING_GAP - EPSILON,
+                    `subtrees of ${node.children[i - 1].label} and ${node.children[i].label} overlap at y=${y}`);
+            });
+        }
+    });
+}
+
+function assertParentsCentered(positions, root) {
+    allNodes(root).filter(node => node.children.length > 0).forEach(node => {
+        const first = node.children[0];
+        const last = node.children[node.children.length - 1];
+        const middle = (center(positions, first) + center(positions, last)) / 2;
+        assert.ok(Math.abs(center(positions, node) - middle) < EPSILON, `${node.label} is not centered over its children`);
+    });
+}
+
+function leaves(root) {
+    return allNodes(root).filter(node => node.children.length === 0);
+}
+
+// A lopsided tree: a deep right-branching spine on the left, a flat phrase on the right
+function lopsided() {
+    let spine = tree('w0');
+    for (let i = 1; i <= 8; i++) spine = tree(`XP${i}`, tree(`w${i}`), spine);
+    return tree('S', spine, tree('VP', tree('a'), tree('b'), wide(240, tree('a-very-long-word'))), tree('c'));
+}
+
+test('a deep unary chain is one straight column', () => {
+    const root = chain(60);
+    const positions = layout(root);
+    const centers = allNodes(root).map(node => center(positions, node));
+    centers.forEach(x => assert.ok(Math.abs(x - centers[0]) < EPSILON));
+    assertParentsCentered(positions, root);
+});
+
+test('deep chains beside each other do not overlap', () => {
+    const root = tree('S', chain(25), tree('V', tree('left')), chain(40), chain(3));
+    const positions = layout(root);
+    assertNoOverlap(positions, root);
+    assertParentsCentered(positions, root);
+});
+
+test('a lopsided tree packs without overlap and keeps parents centered', () => {
+    const root = lopsided();
+    const positions = layout(root);
+    assertNoOverlap(positions, root);
+    assertParentsCentered(positions, root);
+});
+
+test('children stay in order from left to right', () => {
+    const root = lopsided();
+    const positions = layout(root);
+    allNodes(root).forEach(node => {
+        for (let i = 1; i < node.children.length; i++) {
+            assert.ok(center(positions, node.children[i - 1]) < center(positions, node.children[i]));
+        }
+    });
+});
+
+test('small subtrees between large ones sit in the middle of the space', () => {
+    const root = tree('S', chain(6, wide(400, tree('big'))), tree('a'), tree('b'), chain(6, wide(400, tree('big'))));
+    const positions = layout(root);
+    const [, a, b, right] = root.children;
+    const leftEdge = extents(positions, root.children[0]).get(positions[a.id].y)[1];
+    const gaps = [
+        positions[a.id].x - leftEdge,
+        positions[b.id].x - (positions[a.id].x + a.width),
+        positions[right.id].x - (positions[b.id].x + b.width)
+    ];
+    // Packing from both sides is averaged, so they do not pile up against the left tree
+    assert.ok(Math.abs(gaps[0] - gaps[2]) < EPSILON, `gaps ${gaps.join(', ')}`);
+    assert.ok(gaps[0] > SIBLING_GAP);
+});
+
+test('with aligned leaves, every word of a lopsided tree sits on one baseline', () => {
+    const root = lopsided();
+    const positions = layout(root, { alignLeaves: true });
+    const baseline = Math.max(...allNodes(root).map(node => positions[node.id].y));
+    leaves(root).forEach(leaf => assert.strictEqual(positions[leaf.id].y, baseline, `${leaf.label} is off the baseline`));
+    assertNoOverlap(positions, root);
+    assertParentsCentered(positions, root);
+});
+
+test('with aligned leaves, a shallow word beside a deep chain drops below it without overlap', () => {
+    const root = tree('S', tree('NP', tree('she')), chain(20), tree('Adv', tree('now')));
+    const positions = layout(root, { alignLeaves: true });
+    const baseline = Math.max(...allNodes(root).map(node => positions[node.id].y));
+    leaves(root).forEach(leaf => assert.strictEqual(positions[leaf.id].y, baseline));
+    assertNoOverlap(positions, root);
+    assertParentsCentered(positions, root);
+});
+
+test('separate trees in a forest do not overlap', () => {
+    const roots = [lopsided(), chain(10), tree('NP', tree('dogs'))];
+    const positions = new TidyTreeLayout(node => node.children).layoutForest(roots, 100, 80);
+    roots.forEach(root => assertNoOverlap(positions, root));
+    for (let i = 1; i < roots.length; i++) {
+        const left = extents(positions, roots[i - 1]);
+        const right = extents(positions, roots[i]);
+        left.forEach(([, leftEdge], y) => {
+            if (right.has(y)) assert.ok(right.get(y)[0] > leftEdge);
+        });
+    }
+    assert.strictEqual(Math.min(...roots.flatMap(allNodes).map(node => positions[node.id].x)), 100);
+});
@@ -0,0 +1,130 @@
+// Checks on Penn Treebank and CoNLL-U import and on linking traces to their antecedents. Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+const context = vm.createContext({ document: { addEventListener() {} } });
+vm.runInContext(`${source}\nObject.assign(this, { TreeApp, TreeModel, HistoryManager, UIState, TreebankFormat, ConlluFormat });`, context);
+const { TreeApp, TreeModel, HistoryManager, UIState, TreebankFormat, ConlluFormat } = context;
+
+// [S [NP dogs] [VP bark]] in brackets, for comparing structures as text
+function brackets(structure) {
+    if (structure.word) return structure.label + (structure.subscript ? `_${structure.subscript}` : '');
+    const label = structure.label + (structure.functionTags ? `-${structure.functionTags}` : '') + (structure.subscript ? `_${structure.subscript}` : '');
+    const inside = [...(structure.children || []).map(brackets), ...(structure.leafText || [])];
+    return `[${label} ${inside.join(' ')}]`;
+}
+
+// A TreeApp without its page: the import logic runs, drawing and dialogs are no-ops
+function importApp() {
+    const app = Object.create(TreeApp.prototype);
+    Object.assign(app, {
+        model: new TreeModel(),
+        history: new HistoryManager(),
+        ui: new UIState(),
+        corpus: null,
+        importText: { value: '' },
+        importDialect: { value: 'ptb' },
+        importMerge: { checked: false },
+        alignLeavesToggle: { checked: false }
+    });
+    ['updateUI', 'render', 'closeImportDialog', 'updateCorpusBar', 'autoLayout', 'fitNodeWidth'].forEach(name => {
+        app[name] = () => {};
+    });
+    app.showImportError = error => { throw error; };
+    return app;
+}
+
+function importInto(app, notation, merge = false) {
+    app.importText.value = notation;
+    app.importMerge.checked = merge;
+    app.onImportConfirm();
+}
+
+// Each movement as "trace -> antecedent (antecedent's parent)"
+function movements(app) {
+    const find = id => app.model.nodes.find(n => n.id === id);
+    return app.model.movements.map(m => {
+        const parent = app.model.getParentOf(m.toId);
+        return `${find(m.fromId).label} -> ${find(m.toId).label} (${parent ? parent.label : 'root'})`;
+    }).join('; ');
+}
+
+test('treebank labels split into category, function tags and index', () => {
+    const [sentence] = new TreebankFormat().parse('( (S (NP-SBJ-1 (DT the) (NN dog)) (VP (VBD left))) )');
+
+    assert.strictEqual(sentence.text, 'the dog left');
+    assert.strictEqual(sentence.structures.map(brackets).join(' '), '[S [NP-SBJ_1 [DT the] [NN dog]] [VP [VBD left]]]');
+});
+
+test('empty elements keep their index on the word and are not part of the text', () => {
+    const [sentence] = new TreebankFormat().parse('(ROOT (SBAR (WHNP-1 (WP who)) (S (NP-SBJ (-NONE- *T*-1)) (VP (VBD left)))))');
+
+    assert.strictEqual(sentence.text, 'who left');
+    assert.strictEqual(brackets(sentence.structures[0]), '[SBAR [WHNP_1 [WP who]] [S [NP-SBJ [-NONE- *T*_1]] [VP [VBD left]]]]');
+});
+
+test('each top-level tree is its own sentence', () => {
+    const sentences = new TreebankFormat().parse('( (S (NP dogs) (VP bark)) )\n( (S (NP cats) (VP sleep)) )');
+
+    assert.strictEqual(sentences.map(s => s.text).join(' | '), 'dogs bark | cats sleep');
+});
+
+test('CoNLL-U tokens become phrases over their dependents', () => {
+    const [sentence] = new ConlluFormat().parse([
+        '# sent_id = 1',
+        '# text = the dog barks',
+        '1\tthe\tthe\tDET\t_\t_\t2\tdet\t_\t_',
+        '2\tdog\tdog\tNOUN\t_\t_\t3\tnsubj\t_\t_',
+        '3\tbarks\tbark\tVERB\t_\t_\t0\troot\t_\t_',
+        ''
+    ].join('\n'));
+
+    assert.strictEqual(sentence.id, '1');
+    assert.strictEqual(sentence.text, 'the dog barks');
+    assert.strictEqual(sentence.structures.map(brackets).join(' '), '[VERB-root [NOUN-nsubj [DET-det the] dog] barks]');
+});
+
+test('CoNLL-U rejects short lines and cycles of heads', () => {
+    assert.throws(() => new ConlluFormat().parse('1\tthe\tthe\tDET'), /10 tab-separated columns/);
+    assert.throws(() => new ConlluFormat().parse([
+        '1\ta\ta\tX\t_\t_\t2\tdep\t_\t_',
+        '2\tb\tb\tX\t_\t_\t1\tdep\t_\t_'
+    ].join('\n')), /cycle of heads/);
+});
+
+test('a trace is linked to the closest c-commanding node with its index', () => {
+    const app = importApp();
+    importInto(app, '( (S (NP (WHNP-1 (WP what))) (SBAR (WHNP-1 (WP who)) (S (NP-SBJ (-NONE- *T*-1)) (VP (VBD left))))) )');
+
+    assert.strictEqual(movements(app), '*T* -> WHNP (SBAR)');
+});
+
+test('without a c-commanding antecedent a trace links within its own tree', () => {
+    const app = importApp();
+    importInto(app, '( (S (NP-SBJ (-NONE- *T*-2)) (VP (VBD left) (NP-2 (NN it)))) )');
+
+    assert.strictEqual(movements(app), '*T* -> NP (VP)');
+});
+
+test('trees in one import are not linked to each other', () => {
+    // Treebank files hold one tree per sentence; bracket notation can hold several
+    const app = importApp();
+    app.importDialect.value = 'square';
+    importInto(app, '[ROOT [SBAR [WHNP_1 who] [S [VP left]]] [S [NP-SBJ *T*_1] [VP stayed]]]');
+
+    assert.strictEqual(app.model.getRoots().length, 2);
+    assert.strictEqual(movements(app), '');
+});
+
+test('a merged import is not linked to trees already in the workspace', () => {
+    const app = importApp();
+    importInto(app, '( (SBAR (WHNP-1 (WP who)) (S (VP (VBD left)))) )');
+    importInto(app, '( (S (NP-SBJ (-NONE- *T*-1)) (VP (VBD stayed))) )', true);
+
+    assert.strictEqual(app.model.getRoots().length, 2);
+    assert.strictEqual(movements(app), '');
+});